@@ -1,5 +1,6 @@
 using System.Collections.Concurrent;
 using System.Net.WebSockets;
+using System.Runtime.CompilerServices;
 using System.Text;
 using System.Text.Json;
 using System.Text.Json.Serialization;
@@ -12,6 +13,10 @@ public static class WebSocketController
 {
     private static readonly GameWorld World = new();
     private static readonly ConcurrentDictionary<string, WebSocket> Connections = new();
+    // Serialises socket hand-over so a resuming socket and the dying one can't both own a player.
+    private static readonly object SessionLock = new();
+    // WebSocket allows one outstanding send; replies from the receive loop and world-tick broadcasts share this gate.
+    private static readonly ConditionalWeakTable<WebSocket, SemaphoreSlim> SendLocks = new();
     private static readonly JsonSerializerOptions JsonOptions = new()
     {
         PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
@@ -32,12 +37,36 @@ public static class WebSocketController
         }
 
         using var webSocket = await context.WebSockets.AcceptWebSocketAsync();
-        var connectionId = Guid.NewGuid().ToString();
-        Connections[connectionId] = webSocket;
 
-        var playerState = World.AddPlayer(connectionId);
+        // The token rides in the query string because browsers can't set headers on a WebSocket;
+        // it is rotated on every initialState, so a logged URL can't be replayed.
+        var resumeToken = context.Request.Query["session"].ToString();
+        string connectionId;
+        PlayerState playerState;
+        WebSocket? replacedSocket = null;
+        var resumed = false;
+        lock (SessionLock)
+        {
+            if (World.TryResumePlayer(resumeToken, DateTime.UtcNow, out var resumedState) && resumedState != null)
+            {
+                playerState = resumedState;
+                connectionId = resumedState.Id;
+                resumed = true;
+                Connections.TryGetValue(connectionId, out replacedSocket);
+            }
+            else
+            {
+                connectionId = Guid.NewGuid().ToString();
+                playerState = World.AddPlayer(connectionId);
+            }
 
-        await SendInitialStateAsync(webSocket, connectionId, context.RequestAborted);
+            Connections[connectionId] = webSocket;
+        }
+
+        // A half-open socket that still owned the player is cut off; its cleanup sees it no longer owns the slot.
+        replacedSocket?.Abort();
+
+        await SendInitialStateAsync(webSocket, connectionId, resumed, context.RequestAborted);
         await BroadcastJsonAsync(new { type = "playerJoined", player = World.CreatePlayerSnapshot(playerState) }, connectionId);
 
         var buffer = new byte[1024 * 8];
@@ -73,8 +102,15 @@ public static class WebSocketController
         }
         finally
         {
-            World.RemovePlayer(connectionId);
-            Connections.TryRemove(connectionId, out _);
+            bool ownedPlayer;
+            lock (SessionLock)
+            {
+                ownedPlayer = Connections.TryRemove(new KeyValuePair<string, WebSocket>(connectionId, webSocket));
+                if (ownedPlayer)
+                {
+                    World.DetachPlayer(connectionId, DateTime.UtcNow);
+                }
+            }
 
             if (webSocket.State == WebSocketState.Open || webSocket.State == WebSocketState.CloseReceived)
             {
@@ -87,7 +123,10 @@ public static class WebSocketController
                 }
             }
 
-            await BroadcastJsonAsync(new { type = "playerLeft", playerId = connectionId }, connectionId);
+            if (ownedPlayer)
+            {
+                await BroadcastJsonAsync(new { type = "playerLeft", playerId = connectionId }, connectionId);
+            }
         }
     }
 
@@ -125,6 +164,14 @@ public static class WebSocketController
                 await HandleWeaponChoiceAsync(connectionId, root);
                 break;
 
+            case "chatMessage":
+                await HandleChatMessageAsync(connectionId, socket, root, cancel);
+                break;
+
+            case "ping":
+                await HandlePingAsync(socket, root, cancel);
+                break;
+
             default:
                 Console.WriteLine($"Unknown message type '{msgType}' from {connectionId}");
                 break;
@@ -150,8 +197,13 @@ public static class WebSocketController
 
         TryGetDouble(root, "velocityX", out var velocityX);
         TryGetDouble(root, "velocityZ", out var velocityZ);
+        long? inputSequence = root.TryGetProperty("sequence", out var sequenceProp) &&
+            sequenceProp.ValueKind == JsonValueKind.Number &&
+            sequenceProp.TryGetInt64(out var sequence)
+            ? sequence
+            : null;
 
-        if (!World.TryUpdatePlayerTransform(playerState, x, y, z, heading, velocityX, velocityZ, out var snapshot) || snapshot == null)
+        if (!World.TryUpdatePlayerTransform(playerState, x, y, z, heading, velocityX, velocityZ, inputSequence, out var snapshot) || snapshot == null)
         {
             return;
         }
@@ -298,6 +350,53 @@ public static class WebSocketController
         }
     }
 
+    private static async Task HandlePingAsync(WebSocket socket, JsonElement root, CancellationToken cancel)
+    {
+        // Echo the client's own timestamp back so the round trip is measured on one clock.
+        TryGetDouble(root, "id", out var id);
+        TryGetDouble(root, "sentAt", out var sentAt);
+
+        await SendJsonAsync(socket, new
+        {
+            type = "pong",
+            id,
+            sentAt,
+            serverTime = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds()
+        }, cancel);
+    }
+
+    private static async Task HandleChatMessageAsync(string playerId, WebSocket socket, JsonElement root, CancellationToken cancel)
+    {
+        var text = root.TryGetProperty("text", out var textProp) && textProp.ValueKind == JsonValueKind.String ? textProp.GetString() : null;
+        var channel = root.TryGetProperty("channel", out var channelProp) && channelProp.ValueKind == JsonValueKind.String ? channelProp.GetString() : null;
+
+        var result = World.RelayChat(playerId, channel, text, DateTime.UtcNow);
+        if (!result.Accepted)
+        {
+            if (result.RejectionReason != null)
+            {
+                var notice = new ChatMessageDto
+                {
+                    Channel = ChatChannels.System,
+                    Text = result.RejectionReason,
+                    SentAt = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds()
+                };
+                await SendJsonAsync(socket, new { type = "chatMessage", message = notice }, cancel);
+            }
+            return;
+        }
+
+        var payload = new { type = "chatMessage", message = result.Message };
+        if (result.RecipientIds == null)
+        {
+            await BroadcastJsonAsync(payload);
+        }
+        else
+        {
+            await SendJsonToPlayersAsync(result.RecipientIds, payload);
+        }
+    }
+
     private static async Task ExecuteAbilityAsync(string playerId, string abilityId, string? targetId)
     {
         var now = DateTime.UtcNow;
@@ -306,6 +405,11 @@ public static class WebSocketController
         foreach (var update in result.PlayerUpdates)
         {
             await SendPlayerStatsAsync(update);
+            if (update.LeveledUp)
+            {
+                // Other clients only learn levels from player snapshots.
+                await BroadcastPlayerStateAsync(World.CreatePlayerSnapshot(update.Player));
+            }
         }
 
         if (!result.AbilityTriggered)
@@ -313,7 +417,7 @@ public static class WebSocketController
             return;
         }
 
-        await BroadcastJsonAsync(new { type = "playerAbility", playerId, abilityId = result.AbilityId, targetId, attack = result.AttackSpawn });
+        await BroadcastJsonAsync(new { type = "playerAbility", playerId, abilityId = result.AbilityId, targetId, attack = result.AttackSpawn, hit = result.Hit });
 
         if (result.MobUpdate != null)
         {
@@ -326,7 +430,7 @@ public static class WebSocketController
         }
     }
 
-    private static async Task SendInitialStateAsync(WebSocket socket, string connectionId, CancellationToken cancel)
+    private static async Task SendInitialStateAsync(WebSocket socket, string connectionId, bool resumed, CancellationToken cancel)
     {
         var otherPlayers = World.Players.Values
             .Where(p => p.Id != connectionId)
@@ -349,6 +453,8 @@ public static class WebSocketController
         {
             type = "initialState",
             playerId = connectionId,
+            sessionToken = World.IssueSessionToken(connectionId),
+            resumed,
             worldSeed = World.Options.WorldSeed,
             timeOfDay = World.GetTimeOfDayFraction(),
             players = otherPlayers,
@@ -381,17 +487,27 @@ public static class WebSocketController
 
             foreach (var attack in eventArgs.MobAttacks)
             {
-                await BroadcastJsonAsync(new { type = "mobAttack", mobId = attack.MobId, targetId = attack.PlayerId });
+                await BroadcastJsonAsync(new { type = "mobAttack", mobId = attack.MobId, targetId = attack.PlayerId, damage = attack.Damage });
             }
 
             foreach (var stats in eventArgs.PlayerStatUpdates)
             {
                 await SendPlayerStatsAsync(stats);
+                if (stats.LeveledUp)
+                {
+                    await BroadcastPlayerStateAsync(World.CreatePlayerSnapshot(stats.Player));
+                }
+            }
+
+            foreach (var defeat in eventArgs.PlayerDefeats)
+            {
+                await SendPlayerDefeatedAsync(defeat);
             }
 
             foreach (var respawn in eventArgs.PlayerRespawns)
             {
-                await BroadcastPlayerStateAsync(respawn.Snapshot);
+                // Flagged so the respawning client drops its predicted inputs instead of replaying them from the spawn point.
+                await BroadcastJsonAsync(new { type = "playerState", player = respawn.Snapshot, respawned = true });
                 await SendPlayerStatsAsync(respawn.StatsUpdate);
             }
 
@@ -400,6 +516,7 @@ public static class WebSocketController
                 type = "worldTick",
                 timeOfDay = eventArgs.TimeOfDay,
                 attacks = eventArgs.AttackSnapshots,
+                hits = eventArgs.AttackHits.Count > 0 ? eventArgs.AttackHits : null,
                 completedAttackIds = eventArgs.CompletedAttackIds
             });
         }
@@ -428,6 +545,7 @@ public static class WebSocketController
             xpAwarded = update.ExperienceAwarded,
             leveledUp = update.LeveledUp,
             reason = update.Reason,
+            reasonCategory = update.ReasonCategory,
             abilities = update.Abilities,
             upgradeOptions = update.UpgradeOptions,
             weaponChoices = update.WeaponChoices
@@ -436,11 +554,44 @@ public static class WebSocketController
         await SendJsonAsync(socket, payload, CancellationToken.None);
     }
 
+    private static async Task SendPlayerDefeatedAsync(PlayerDefeatEvent defeat)
+    {
+        if (!Connections.TryGetValue(defeat.PlayerId, out var socket) || socket.State != WebSocketState.Open)
+        {
+            return;
+        }
+
+        var payload = new
+        {
+            type = "playerDefeated",
+            playerId = defeat.PlayerId,
+            mobId = defeat.MobId,
+            defeatedBy = defeat.MobName,
+            respawnSeconds = defeat.RespawnSeconds
+        };
+
+        await SendJsonAsync(socket, payload, CancellationToken.None);
+    }
+
     private static async Task SendJsonAsync(WebSocket socket, object payload, CancellationToken cancel)
     {
         var json = JsonSerializer.Serialize(payload, JsonOptions);
         var buffer = Encoding.UTF8.GetBytes(json);
-        await socket.SendAsync(new ArraySegment<byte>(buffer), WebSocketMessageType.Text, true, cancel);
+        await SendSerializedAsync(socket, buffer, cancel);
+    }
+
+    private static async Task SendSerializedAsync(WebSocket socket, byte[] buffer, CancellationToken cancel)
+    {
+        var gate = SendLocks.GetValue(socket, _ => new SemaphoreSlim(1, 1));
+        await gate.WaitAsync(cancel);
+        try
+        {
+            await socket.SendAsync(new ArraySegment<byte>(buffer), WebSocketMessageType.Text, true, cancel);
+        }
+        finally
+        {
+            gate.Release();
+        }
     }
 
     private static Task BroadcastJsonAsync(object payload, string? exceptId = null)
@@ -462,7 +613,7 @@ public static class WebSocketController
                 continue;
             }
 
-            tasks.Add(SendBufferSafeAsync(kv.Key, socket, buffer));
+            tasks.Add(SendBufferSafeAsync(socket, buffer));
         }
 
         if (tasks.Count == 0)
@@ -473,16 +624,33 @@ public static class WebSocketController
         return Task.WhenAll(tasks);
     }
 
-    private static async Task SendBufferSafeAsync(string connectionId, WebSocket socket, byte[] buffer)
+    private static Task SendJsonToPlayersAsync(IEnumerable<string> playerIds, object payload)
+    {
+        var json = JsonSerializer.Serialize(payload, JsonOptions);
+        var buffer = Encoding.UTF8.GetBytes(json);
+
+        var tasks = new List<Task>();
+        foreach (var playerId in playerIds)
+        {
+            if (Connections.TryGetValue(playerId, out var socket) && socket.State == WebSocketState.Open)
+            {
+                tasks.Add(SendBufferSafeAsync(socket, buffer));
+            }
+        }
+
+        return tasks.Count == 0 ? Task.CompletedTask : Task.WhenAll(tasks);
+    }
+
+    private static async Task SendBufferSafeAsync(WebSocket socket, byte[] buffer)
     {
         try
         {
-            await socket.SendAsync(new ArraySegment<byte>(buffer), WebSocketMessageType.Text, true, CancellationToken.None);
+            await SendSerializedAsync(socket, buffer, CancellationToken.None);
         }
         catch
         {
-            Connections.TryRemove(connectionId, out _);
-            World.RemovePlayer(connectionId);
+            // Let the receive loop's cleanup detach the player so the session can still be resumed.
+            socket.Abort();
         }
     }
 
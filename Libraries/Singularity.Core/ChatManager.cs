@@ -0,0 +1,93 @@
+using System;
+using System.Collections.Concurrent;
+using System.Collections.Generic;
+using System.Text;
+
+namespace Singularity.Core;
+
+public sealed class ChatManager
+{
+    private readonly GameWorldOptions _options;
+    private readonly ConcurrentDictionary<string, Queue<DateTime>> _recentMessages = new();
+
+    public ChatManager(GameWorldOptions options)
+    {
+        _options = options;
+    }
+
+    /// <summary>
+    /// Sliding-window limit: at most ChatRateLimitCount messages per ChatRateLimitWindowSeconds.
+    /// </summary>
+    public bool TryConsume(string playerId, DateTime now, out double retryAfterSeconds)
+    {
+        var window = TimeSpan.FromSeconds(_options.ChatRateLimitWindowSeconds);
+        var history = _recentMessages.GetOrAdd(playerId, _ => new Queue<DateTime>());
+
+        lock (history)
+        {
+            while (history.Count > 0 && now - history.Peek() >= window)
+            {
+                history.Dequeue();
+            }
+
+            if (history.Count >= _options.ChatRateLimitCount)
+            {
+                retryAfterSeconds = Math.Max(0, (history.Peek() + window - now).TotalSeconds);
+                return false;
+            }
+
+            history.Enqueue(now);
+            retryAfterSeconds = 0;
+            return true;
+        }
+    }
+
+    public void Forget(string playerId)
+    {
+        _recentMessages.TryRemove(playerId, out _);
+    }
+
+    /// <summary>
+    /// Strips control characters, collapses whitespace runs and enforces the length cap.
+    /// Returns null when nothing printable is left.
+    /// </summary>
+    public string? Sanitize(string? text)
+    {
+        if (string.IsNullOrWhiteSpace(text))
+        {
+            return null;
+        }
+
+        var builder = new StringBuilder(Math.Min(text.Length, _options.ChatMaxLength));
+        var pendingSpace = false;
+        foreach (var ch in text)
+        {
+            if (char.IsWhiteSpace(ch))
+            {
+                pendingSpace = builder.Length > 0;
+                continue;
+            }
+
+            if (char.IsControl(ch))
+            {
+                continue;
+            }
+
+            // A pending space and the character land together, so both must fit under the cap.
+            if (builder.Length + (pendingSpace ? 2 : 1) > _options.ChatMaxLength)
+            {
+                break;
+            }
+
+            if (pendingSpace)
+            {
+                builder.Append(' ');
+                pendingSpace = false;
+            }
+
+            builder.Append(ch);
+        }
+
+        return builder.Length > 0 ? builder.ToString() : null;
+    }
+}
@@ -0,0 +1,44 @@
+using System.Collections.Generic;
+
+namespace Singularity.Core;
+
+public static class ChatChannels
+{
+    public const string Proximity = "proximity";
+    public const string Global = "global";
+    public const string System = "system";
+}
+
+public sealed class ChatMessageDto
+{
+    public string Channel { get; set; } = ChatChannels.Proximity;
+    public string? PlayerId { get; set; }
+    public string? DisplayName { get; set; }
+    public string Text { get; set; } = string.Empty;
+    public long SentAt { get; set; }
+}
+
+public sealed class ChatRelayResult
+{
+    private ChatRelayResult(ChatMessageDto? message, IReadOnlyList<string>? recipientIds, string? rejectionReason)
+    {
+        Message = message;
+        RecipientIds = recipientIds;
+        RejectionReason = rejectionReason;
+    }
+
+    public ChatMessageDto? Message { get; }
+
+    /// <summary>
+    /// Null for global messages, which go to every connection.
+    /// </summary>
+    public IReadOnlyList<string>? RecipientIds { get; }
+
+    public string? RejectionReason { get; }
+
+    public bool Accepted => Message != null;
+
+    public static ChatRelayResult Deliver(ChatMessageDto message, IReadOnlyList<string>? recipientIds) => new(message, recipientIds, null);
+
+    public static ChatRelayResult Reject(string? reason) => new(null, null, reason);
+}
@@ -99,3 +99,10 @@ public sealed class AttackSnapshotDto
     public double Radius { get; set; }
     public double Progress { get; set; }
 }
+
+public sealed class AttackHitDto
+{
+    public string PlayerId { get; set; } = string.Empty;
+    public string TargetId { get; set; } = string.Empty;
+    public int Damage { get; set; }
+}
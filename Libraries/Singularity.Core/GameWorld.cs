@@ -12,6 +12,8 @@ public sealed class GameWorld : IDisposable
     private readonly ConcurrentDictionary<string, PlayerState> _players = new();
     private readonly EnvironmentManager _environmentManager;
     private readonly MobManager _mobManager;
+    private readonly ChatManager _chatManager;
+    private readonly SessionManager _sessionManager;
     private const int MaxWeaponSlots = 3;
     private readonly AbilityDefinition[] _abilityDefinitions;
     private readonly Dictionary<string, AbilityDefinition> _abilityDefinitionMap;
@@ -69,6 +71,8 @@ public sealed class GameWorld : IDisposable
         _options = options ?? new GameWorldOptions();
         _environmentManager = new EnvironmentManager(_options);
         _mobManager = new MobManager(_options);
+        _chatManager = new ChatManager(_options);
+        _sessionManager = new SessionManager(_options);
         InitializeTerrainHeightMaps();
         var abilityDefinitions = new[]
         {
@@ -390,7 +394,133 @@ public sealed class GameWorld : IDisposable
         return playerState;
     }
 
-    public bool RemovePlayer(string playerId) => _players.TryRemove(playerId, out _);
+    public bool RemovePlayer(string playerId)
+    {
+        _chatManager.Forget(playerId);
+        _sessionManager.Forget(playerId);
+        return _players.TryRemove(playerId, out _);
+    }
+
+    public string IssueSessionToken(string playerId) => _sessionManager.IssueToken(playerId);
+
+    /// <summary>
+    /// Takes a disconnected player out of the world but keeps their state for the resume grace window.
+    /// </summary>
+    public bool DetachPlayer(string playerId, DateTime now)
+    {
+        if (!_players.TryRemove(playerId, out var state))
+        {
+            return false;
+        }
+
+        lock (state)
+        {
+            state.VelocityX = 0;
+            state.VelocityZ = 0;
+        }
+
+        _sessionManager.Detach(state, now);
+        return true;
+    }
+
+    /// <summary>
+    /// Reattaches the player behind a session token, whether it was detached or its old socket
+    /// simply hasn't dropped yet. Returns false once the token is unknown or the grace window has passed.
+    /// </summary>
+    public bool TryResumePlayer(string? token, DateTime now, out PlayerState? state)
+    {
+        state = null;
+        if (!_sessionManager.TryResume(token, now, out var playerId, out var detachedState) || playerId is null)
+        {
+            return false;
+        }
+
+        if (detachedState != null)
+        {
+            _players[playerId] = detachedState;
+        }
+
+        if (!TryGetPlayer(playerId, out state) || state is null)
+        {
+            return false;
+        }
+
+        lock (state)
+        {
+            state.LastUpdate = now;
+            // A reloaded page restarts its input sequence from zero.
+            state.LastInputSequence = 0;
+        }
+
+        return true;
+    }
+
+    public ChatRelayResult RelayChat(string playerId, string? channel, string? text, DateTime now)
+    {
+        if (!TryGetPlayer(playerId, out var sender) || sender is null)
+        {
+            return ChatRelayResult.Reject(null);
+        }
+
+        var body = _chatManager.Sanitize(text);
+        if (body is null)
+        {
+            return ChatRelayResult.Reject(null);
+        }
+
+        var resolvedChannel = string.Equals(channel, ChatChannels.Global, StringComparison.OrdinalIgnoreCase)
+            ? ChatChannels.Global
+            : ChatChannels.Proximity;
+
+        if (!_chatManager.TryConsume(playerId, now, out var retryAfter))
+        {
+            return ChatRelayResult.Reject($"You're sending messages too quickly. Try again in {Math.Ceiling(retryAfter)}s.");
+        }
+
+        string displayName;
+        double senderX;
+        double senderZ;
+        lock (sender)
+        {
+            displayName = sender.DisplayName;
+            senderX = sender.X;
+            senderZ = sender.Z;
+        }
+
+        var message = new ChatMessageDto
+        {
+            Channel = resolvedChannel,
+            PlayerId = playerId,
+            DisplayName = displayName,
+            Text = body,
+            SentAt = new DateTimeOffset(now).ToUnixTimeMilliseconds()
+        };
+
+        if (resolvedChannel == ChatChannels.Global)
+        {
+            return ChatRelayResult.Deliver(message, null);
+        }
+
+        var rangeSquared = _options.ChatProximityRange * _options.ChatProximityRange;
+        var recipients = new List<string>();
+        foreach (var state in _players.Values)
+        {
+            double dx;
+            double dz;
+            lock (state)
+            {
+                dx = state.X - senderX;
+                dz = state.Z - senderZ;
+            }
+
+            if (dx * dx + dz * dz <= rangeSquared)
+            {
+                recipients.Add(state.Id);
+            }
+        }
+
+        return ChatRelayResult.Deliver(message, recipients);
+    }
 
     public bool TryGetPlayer(string playerId, out PlayerState? state) => _players.TryGetValue(playerId, out state);
 
@@ -402,13 +532,15 @@ public sealed class GameWorld : IDisposable
             {
                 PlayerId = state.Id,
                 DisplayName = state.DisplayName,
+                Level = state.Stats.Level,
                 X = state.X,
                 Y = state.Y,
                 Z = state.Z,
                 Heading = state.Heading,
                 VelocityX = state.VelocityX,
                 VelocityZ = state.VelocityZ,
-                LastServerUpdate = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds()
+                LastServerUpdate = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds(),
+                LastInputSequence = state.LastInputSequence
             };
         }
     }
@@ -417,7 +549,7 @@ public sealed class GameWorld : IDisposable
     {
         lock (state)
         {
-            state.IsEthereal = state.Stats.UnspentStatPoints > 0 || state.PendingWeaponChoices.Count > 0;
+            state.IsEthereal = state.Stats.UnspentStatPoints > 0 || state.PendingWeaponChoices.Count > 0 || state.RespawnAt.HasValue;
             return new PlayerStatsDto
             {
                 Level = state.Stats.Level,
@@ -466,6 +598,7 @@ public sealed class GameWorld : IDisposable
         double heading,
         double velocityX,
         double velocityZ,
+        long? inputSequence,
         out PlayerSnapshot? snapshot)
     {
         snapshot = null;
@@ -477,6 +610,12 @@ public sealed class GameWorld : IDisposable
 
         lock (state)
         {
+            if (state.RespawnAt.HasValue)
+            {
+                // Defeated players stay where they fell until the respawn timer runs out.
+                return false;
+            }
+
             var now = DateTime.UtcNow;
             var previousX = state.X;
             var previousZ = state.Z;
@@ -543,6 +682,10 @@ public sealed class GameWorld : IDisposable
             }
 
             state.LastUpdate = now;
+            if (inputSequence is long sequence && sequence > state.LastInputSequence)
+            {
+                state.LastInputSequence = sequence;
+            }
             snapshot = CreatePlayerSnapshot(state);
         }
 
@@ -679,7 +822,7 @@ public sealed class GameWorld : IDisposable
         }
 
         var result = new AbilityExecutionResult(abilityDefinition.Id, targetId);
-        result.PlayerUpdates.Add(new PlayerStatsUpdate(player, statsSnapshot, 0, false, null, abilitySnapshots, upgradeOptions, weaponChoices));
+        result.PlayerUpdates.Add(new PlayerStatsUpdate(player, statsSnapshot, 0, false, null, null, abilitySnapshots, upgradeOptions, weaponChoices));
 
         if (!shouldStrike)
         {
@@ -704,13 +847,15 @@ public sealed class GameWorld : IDisposable
             return result;
         }
 
-        if (_mobManager.TryStrike(targetId, damage, playerId, out var mobUpdate, out var mobDefeated, out var mobName))
+        if (_mobManager.TryStrike(targetId, damage, playerId, out var mobUpdate, out var mobDefeated, out var mobName, out var damageDealt))
         {
             if (mobUpdate != null)
             {
                 result.MobUpdate = mobUpdate;
             }
 
+            result.Hit = CreateHit(playerId, targetId, damageDealt);
+
             if (mobDefeated)
             {
                 result.PlayerUpdates.Add(GrantExperience(player, _options.MobXpReward, $"{mobName} defeated", now));
@@ -792,7 +937,7 @@ public sealed class GameWorld : IDisposable
                 : BuildWeaponChoiceOptionsLocked(state);
             upgradeOptions = BuildStatUpgradeOptionsLocked(state);
 
-            state.IsEthereal = stats.UnspentStatPoints > 0 || (weaponChoices?.Count > 0);
+            state.IsEthereal = stats.UnspentStatPoints > 0 || (weaponChoices?.Count > 0) || state.RespawnAt.HasValue;
             snapshot.IsEthereal = state.IsEthereal;
 
             if (leveledUp && stats.UnspentStatPoints > 0)
@@ -822,7 +967,7 @@ public sealed class GameWorld : IDisposable
             }
         }
 
-        return new PlayerStatsUpdate(state, snapshot, xpAwarded, leveledUp, message, abilities, upgradeOptions, weaponChoices);
+        return new PlayerStatsUpdate(state, snapshot, xpAwarded, leveledUp, message, ReasonCategories.Progression, abilities, upgradeOptions, weaponChoices);
     }
 
     public PlayerStatsUpdate? ChooseWeapon(string playerId, string abilityId, DateTime now)
@@ -870,7 +1015,7 @@ public sealed class GameWorld : IDisposable
             var upgradeOptions = BuildStatUpgradeOptionsLocked(playerState);
             var weaponChoices = BuildWeaponChoiceOptionsLocked(playerState);
 
-            playerState.IsEthereal = stats.UnspentStatPoints > 0 || (weaponChoices?.Count > 0);
+            playerState.IsEthereal = stats.UnspentStatPoints > 0 || (weaponChoices?.Count > 0) || playerState.RespawnAt.HasValue;
             snapshot.IsEthereal = playerState.IsEthereal;
 
             string message;
@@ -884,7 +1029,7 @@ public sealed class GameWorld : IDisposable
                 message = $"Equipped {definition.Name} in slot {slot}.";
             }
 
-            return new PlayerStatsUpdate(playerState, snapshot, 0, false, message, abilities, upgradeOptions, weaponChoices);
+            return new PlayerStatsUpdate(playerState, snapshot, 0, false, message, ReasonCategories.Progression, abilities, upgradeOptions, weaponChoices);
         }
     }
 
@@ -1463,11 +1608,13 @@ public sealed class GameWorld : IDisposable
 
     private void ApplyDamageToMob(AttackInstance attack, string targetId, DateTime now, WorldTickEventArgs eventArgs)
     {
-        if (!_mobManager.TryStrike(targetId, attack.Damage, attack.OwnerPlayerId, out var mobUpdate, out var defeated, out var mobName))
+        if (!_mobManager.TryStrike(targetId, attack.Damage, attack.OwnerPlayerId, out var mobUpdate, out var defeated, out var mobName, out var damageDealt))
         {
             return;
         }
 
+        eventArgs.AttackHits.Add(CreateHit(attack.OwnerPlayerId, targetId, damageDealt));
+
         if (mobUpdate != null)
         {
             eventArgs.MobUpdates.Add(mobUpdate);
@@ -1480,6 +1627,14 @@ public sealed class GameWorld : IDisposable
         }
     }
 
+    private static AttackHitDto CreateHit(string playerId, string targetId, double damageDealt) => new()
+    {
+        PlayerId = playerId,
+        TargetId = targetId,
+        // Matches the whole-number health the client shows; a landed hit always reads as at least 1.
+        Damage = Math.Max(1, (int)Math.Round(damageDealt))
+    };
+
     private void ApplyDamageToEnvironment(AttackInstance attack, string targetId, DateTime now, WorldTickEventArgs eventArgs)
     {
         if (!_environmentManager.TryStrike(targetId, attack.Damage, out var updated, out var defeated) || updated == null)
@@ -1547,11 +1702,11 @@ public sealed class GameWorld : IDisposable
             upgradeOptions = BuildStatUpgradeOptionsLocked(state);
             weaponChoices = BuildWeaponChoiceOptionsLocked(state);
 
-            state.IsEthereal = stats.UnspentStatPoints > 0 || (weaponChoices?.Count > 0);
+            state.IsEthereal = stats.UnspentStatPoints > 0 || (weaponChoices?.Count > 0) || state.RespawnAt.HasValue;
             snapshot.IsEthereal = state.IsEthereal;
         }
 
-        return new PlayerStatsUpdate(state, snapshot, 0, false, message, abilities, upgradeOptions, weaponChoices);
+        return new PlayerStatsUpdate(state, snapshot, 0, false, message, ReasonCategories.Progression, abilities, upgradeOptions, weaponChoices);
     }
 
     private static bool TryApplyStatUpgradeLocked(PlayerStats stats, string statId, out string message)
@@ -1594,7 +1749,7 @@ public sealed class GameWorld : IDisposable
         return true;
     }
 
-    public PlayerRespawnUpdate HandlePlayerDefeat(PlayerState state, string mobName, DateTime now)
+    public PlayerRespawnUpdate RespawnPlayer(PlayerState state, DateTime now)
     {
         PlayerStatsDto snapshot;
         List<AbilityDto> abilities;
@@ -1614,6 +1769,7 @@ public sealed class GameWorld : IDisposable
             state.VelocityX = 0;
             state.VelocityZ = 0;
             state.LastUpdate = DateTime.UtcNow;
+            state.RespawnAt = null;
             state.Stats.CurrentHealth = state.Stats.MaxHealth;
 
             snapshot = new PlayerStatsDto
@@ -1634,12 +1790,12 @@ public sealed class GameWorld : IDisposable
             upgradeOptions = BuildStatUpgradeOptionsLocked(state);
             weaponChoices = BuildWeaponChoiceOptionsLocked(state);
 
-            state.IsEthereal = state.Stats.UnspentStatPoints > 0 || (weaponChoices?.Count > 0);
+            state.IsEthereal = state.Stats.UnspentStatPoints > 0 || (weaponChoices?.Count > 0) || state.RespawnAt.HasValue;
             snapshot.IsEthereal = state.IsEthereal;
         }
 
         var playerSnapshot = CreatePlayerSnapshot(state);
-        var statsUpdate = new PlayerStatsUpdate(state, snapshot, 0, false, $"You were defeated by {mobName}.", abilities, upgradeOptions, weaponChoices);
+        var statsUpdate = new PlayerStatsUpdate(state, snapshot, 0, false, "You have respawned.", ReasonCategories.Combat, abilities, upgradeOptions, weaponChoices);
         return new PlayerRespawnUpdate(playerSnapshot, statsUpdate);
     }
 
@@ -1657,6 +1813,10 @@ public sealed class GameWorld : IDisposable
             var appliedDamage = Math.Max(1, (int)Math.Round(damage));
             stats.CurrentHealth = Math.Max(0, stats.CurrentHealth - appliedDamage);
             defeated = stats.CurrentHealth <= 0;
+            if (defeated)
+            {
+                state.RespawnAt = now.AddSeconds(_options.PlayerRespawnSeconds);
+            }
 
             snapshot = new PlayerStatsDto
             {
@@ -1672,15 +1832,15 @@ public sealed class GameWorld : IDisposable
                 IsEthereal = state.IsEthereal
             };
 
-            reason = defeated ? null : $"{mobName} hit you for {appliedDamage}.";
+            reason = defeated ? $"You were defeated by {mobName}." : $"{mobName} hit you for {appliedDamage}.";
             upgradeOptions = BuildStatUpgradeOptionsLocked(state);
             weaponChoices = BuildWeaponChoiceOptionsLocked(state);
 
-            state.IsEthereal = stats.UnspentStatPoints > 0 || (weaponChoices?.Count > 0);
+            state.IsEthereal = stats.UnspentStatPoints > 0 || (weaponChoices?.Count > 0) || state.RespawnAt.HasValue;
             snapshot.IsEthereal = state.IsEthereal;
         }
 
-        var update = new PlayerStatsUpdate(state, snapshot, 0, false, reason, null, upgradeOptions, weaponChoices);
+        var update = new PlayerStatsUpdate(state, snapshot, 0, false, reason, ReasonCategories.Combat, null, upgradeOptions, weaponChoices);
         return new PlayerDamageResult(update, defeated);
     }
 
@@ -1717,12 +1877,18 @@ public sealed class GameWorld : IDisposable
         }
         _lastWorldTick = now;
 
+        foreach (var expiredId in _sessionManager.CollectExpired(now))
+        {
+            _chatManager.Forget(expiredId);
+        }
+
         if (_players.IsEmpty)
         {
             return;
         }
 
         var respawns = _environmentManager.CollectRespawns();
+        var playerRespawns = CollectPlayerRespawns(now);
         var observations = BuildPlayerObservations();
         var mobResult = _mobManager.Tick(delta, observations, SampleTerrainHeight);
         var timeOfDay = AdvanceWorldClock(delta);
@@ -1734,6 +1900,11 @@ public sealed class GameWorld : IDisposable
             eventArgs.EnvironmentUpdates.AddRange(respawns);
         }
 
+        if (playerRespawns.Count > 0)
+        {
+            eventArgs.PlayerRespawns.AddRange(playerRespawns);
+        }
+
         if (mobResult.Updates.Count > 0)
         {
             eventArgs.MobUpdates.AddRange(mobResult.Updates);
@@ -1756,8 +1927,13 @@ public sealed class GameWorld : IDisposable
 
                     if (damageResult.Defeated)
                     {
-                        var respawn = HandlePlayerDefeat(playerState, attack.MobName, now);
-                        eventArgs.PlayerRespawns.Add(respawn);
+                        eventArgs.PlayerDefeats.Add(new PlayerDefeatEvent
+                        {
+                            PlayerId = playerState.Id,
+                            MobId = attack.MobId,
+                            MobName = attack.MobName,
+                            RespawnSeconds = _options.PlayerRespawnSeconds
+                        });
                     }
                 }
             }
@@ -1778,6 +1954,27 @@ public sealed class GameWorld : IDisposable
         }
     }
 
+    private List<PlayerRespawnUpdate> CollectPlayerRespawns(DateTime now)
+    {
+        var respawns = new List<PlayerRespawnUpdate>();
+
+        foreach (var state in _players.Values)
+        {
+            bool due;
+            lock (state)
+            {
+                due = state.RespawnAt.HasValue && state.RespawnAt.Value <= now;
+            }
+
+            if (due)
+            {
+                respawns.Add(RespawnPlayer(state, now));
+            }
+        }
+
+        return respawns;
+    }
+
     private Dictionary<string, PlayerObservation> BuildPlayerObservations()
     {
         var observations = new Dictionary<string, PlayerObservation>(_players.Count);
@@ -2178,8 +2375,10 @@ public sealed class WorldTickEventArgs : EventArgs
     public List<MobSnapshotDto> MobUpdates { get; } = new();
     public List<MobAttackEvent> MobAttacks { get; } = new();
     public List<PlayerStatsUpdate> PlayerStatUpdates { get; } = new();
+    public List<PlayerDefeatEvent> PlayerDefeats { get; } = new();
     public List<PlayerRespawnUpdate> PlayerRespawns { get; } = new();
     public List<AttackSnapshotDto> AttackSnapshots { get; } = new();
+    public List<AttackHitDto> AttackHits { get; } = new();
     public List<string> CompletedAttackIds { get; } = new();
 
     public bool HasChanges =>
@@ -2187,8 +2386,10 @@ public sealed class WorldTickEventArgs : EventArgs
         MobUpdates.Count > 0 ||
         MobAttacks.Count > 0 ||
         PlayerStatUpdates.Count > 0 ||
+        PlayerDefeats.Count > 0 ||
         PlayerRespawns.Count > 0 ||
         AttackSnapshots.Count > 0 ||
+        AttackHits.Count > 0 ||
         CompletedAttackIds.Count > 0;
 }
 
@@ -2241,6 +2442,16 @@ public sealed class AbilityExecutionResult
     public EnvironmentObjectDto? EnvironmentUpdate { get; set; }
     public List<PlayerStatsUpdate> PlayerUpdates { get; } = new();
     public AttackSpawnDto? AttackSpawn { get; set; }
+    public AttackHitDto? Hit { get; set; }
+}
+
+/// <summary>
+/// Event log category the client files a stats update's reason under.
+/// </summary>
+public static class ReasonCategories
+{
+    public const string Combat = "combat";
+    public const string Progression = "progression";
 }
 
 public sealed class PlayerStatsUpdate
@@ -2251,6 +2462,7 @@ public sealed class PlayerStatsUpdate
         int experienceAwarded,
         bool leveledUp,
         string? reason,
+        string? reasonCategory,
         IReadOnlyList<AbilityDto>? abilities,
         IReadOnlyList<PlayerStatUpgradeOption>? upgradeOptions,
         IReadOnlyList<WeaponChoiceOption>? weaponChoices)
@@ -2260,6 +2472,7 @@ public sealed class PlayerStatsUpdate
         ExperienceAwarded = experienceAwarded;
         LeveledUp = leveledUp;
         Reason = reason;
+        ReasonCategory = reasonCategory;
         Abilities = abilities;
         UpgradeOptions = upgradeOptions;
         WeaponChoices = weaponChoices;
@@ -2270,6 +2483,7 @@ public sealed class PlayerStatsUpdate
     public int ExperienceAwarded { get; }
     public bool LeveledUp { get; }
     public string? Reason { get; }
+    public string? ReasonCategory { get; }
     public IReadOnlyList<AbilityDto>? Abilities { get; }
     public IReadOnlyList<PlayerStatUpgradeOption>? UpgradeOptions { get; }
     public IReadOnlyList<WeaponChoiceOption>? WeaponChoices { get; }
@@ -2301,6 +2515,14 @@ readonly struct PendingAttackDamage
     public AttackTargetType TargetType { get; }
 }
 
+public sealed class PlayerDefeatEvent
+{
+    public string PlayerId { get; set; } = string.Empty;
+    public string MobId { get; set; } = string.Empty;
+    public string MobName { get; set; } = string.Empty;
+    public double RespawnSeconds { get; set; }
+}
+
 public readonly struct PlayerDamageResult
 {
     public PlayerDamageResult(PlayerStatsUpdate update, bool defeated)
@@ -21,4 +21,10 @@ public sealed class GameWorldOptions
     public double MobMoveSpeed { get; init; } = 4.6;
     public double MobAggroRange { get; init; } = 24.0;
     public double MobAttackRange { get; init; } = 2.4;
+    public double PlayerRespawnSeconds { get; init; } = 6.0;
+    public int ChatMaxLength { get; init; } = 200;
+    public double ChatProximityRange { get; init; } = 40.0;
+    public int ChatRateLimitCount { get; init; } = 5;
+    public double ChatRateLimitWindowSeconds { get; init; } = 8.0;
+    public double SessionResumeGraceSeconds { get; init; } = 60.0;
 }
@@ -52,11 +52,13 @@ public sealed class MobManager
         string attackerId,
         out MobSnapshotDto? updated,
         out bool defeated,
-        out string mobName)
+        out string mobName,
+        out double damageDealt)
     {
         updated = null;
         defeated = false;
         mobName = "Enemy";
+        damageDealt = 0;
 
         if (!_states.TryGetValue(mobId, out var state))
         {
@@ -78,6 +80,7 @@ public sealed class MobManager
                 return false;
             }
 
+            damageDealt = Math.Min(state.Health, damage);
             state.Health = Math.Max(0, state.Health - damage);
             state.TargetPlayerId = attackerId;
 
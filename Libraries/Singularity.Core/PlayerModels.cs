@@ -24,18 +24,21 @@ public sealed class PlayerState
     public double VelocityX { get; set; }
     public double VelocityZ { get; set; }
     public DateTime LastUpdate { get; set; } = DateTime.UtcNow;
+    public long LastInputSequence { get; set; }
     public PlayerStats Stats { get; } = new();
     public ConcurrentDictionary<string, PlayerAbilityState> Abilities { get; } = new();
     public SortedDictionary<int, string> WeaponLoadout { get; } = new();
     public List<string> PendingWeaponChoices { get; } = new();
     public List<string> PendingStatChoices { get; } = new();
     public bool IsEthereal { get; set; }
+    public DateTime? RespawnAt { get; set; }
 }
 
 public sealed class PlayerSnapshot
 {
     public string PlayerId { get; set; } = string.Empty;
     public string DisplayName { get; set; } = string.Empty;
+    public int Level { get; set; }
     public double X { get; set; }
     public double Y { get; set; }
     public double Z { get; set; }
@@ -43,6 +46,7 @@ public sealed class PlayerSnapshot
     public double VelocityX { get; set; }
     public double VelocityZ { get; set; }
     public long LastServerUpdate { get; set; }
+    public long LastInputSequence { get; set; }
 }
 
 public sealed class PlayerStats
@@ -0,0 +1,138 @@
+using System;
+using System.Collections.Generic;
+using System.Security.Cryptography;
+
+namespace Singularity.Core;
+
+public sealed class SessionManager
+{
+    private readonly GameWorldOptions _options;
+    private readonly object _sync = new();
+    private readonly Dictionary<string, string> _tokenToPlayer = new(StringComparer.Ordinal);
+    private readonly Dictionary<string, string> _playerToToken = new(StringComparer.Ordinal);
+    private readonly Dictionary<string, DetachedSession> _detached = new(StringComparer.Ordinal);
+
+    public SessionManager(GameWorldOptions options)
+    {
+        _options = options;
+    }
+
+    /// <summary>
+    /// Issues a fresh token for the player, invalidating any earlier one so each token resumes at most once.
+    /// </summary>
+    public string IssueToken(string playerId)
+    {
+        var token = Convert.ToBase64String(RandomNumberGenerator.GetBytes(32))
+            .TrimEnd('=')
+            .Replace('+', '-')
+            .Replace('/', '_');
+
+        lock (_sync)
+        {
+            if (_playerToToken.TryGetValue(playerId, out var previous))
+            {
+                _tokenToPlayer.Remove(previous);
+            }
+
+            _playerToToken[playerId] = token;
+            _tokenToPlayer[token] = playerId;
+        }
+
+        return token;
+    }
+
+    public void Detach(PlayerState state, DateTime now)
+    {
+        lock (_sync)
+        {
+            _detached[state.Id] = new DetachedSession(state, now.AddSeconds(_options.SessionResumeGraceSeconds));
+        }
+    }
+
+    /// <summary>
+    /// Resolves a token to its player id. A detached player inside the grace window is handed back
+    /// and must be re-added to the world; a still-attached player resolves with a null state.
+    /// </summary>
+    public bool TryResume(string? token, DateTime now, out string? playerId, out PlayerState? detachedState)
+    {
+        playerId = null;
+        detachedState = null;
+        if (string.IsNullOrWhiteSpace(token))
+        {
+            return false;
+        }
+
+        lock (_sync)
+        {
+            if (!_tokenToPlayer.TryGetValue(token, out var id))
+            {
+                return false;
+            }
+
+            if (_detached.TryGetValue(id, out var session))
+            {
+                if (session.ExpiresAt <= now)
+                {
+                    return false;
+                }
+
+                _detached.Remove(id);
+                detachedState = session.State;
+            }
+
+            playerId = id;
+            return true;
+        }
+    }
+
+    public List<string> CollectExpired(DateTime now)
+    {
+        var expired = new List<string>();
+        lock (_sync)
+        {
+            foreach (var (playerId, session) in _detached)
+            {
+                if (session.ExpiresAt <= now)
+                {
+                    expired.Add(playerId);
+                }
+            }
+
+            foreach (var playerId in expired)
+            {
+                ForgetLocked(playerId);
+            }
+        }
+
+        return expired;
+    }
+
+    public void Forget(string playerId)
+    {
+        lock (_sync)
+        {
+            ForgetLocked(playerId);
+        }
+    }
+
+    private void ForgetLocked(string playerId)
+    {
+        _detached.Remove(playerId);
+        if (_playerToToken.Remove(playerId, out var token))
+        {
+            _tokenToPlayer.Remove(token);
+        }
+    }
+
+    private sealed class DetachedSession
+    {
+        public DetachedSession(PlayerState state, DateTime expiresAt)
+        {
+            State = state;
+            ExpiresAt = expiresAt;
+        }
+
+        public PlayerState State { get; }
+        public DateTime ExpiresAt { get; }
+    }
+}
@@ -1,13 +1,34 @@
 // app.js
-import { log } from './utils.js';
+import { logger, EventLogPanel } from './eventLog.js';
 import { Network } from './network.js';
 import { World } from './world.js';
 import { Player } from './player.js';
+import { InteractionController } from './interaction.js';
+import { ChunkStreamer } from './chunkStreamer.js';
+import { ControlBindings, ControlsPanel, formatKeyCode } from './controls.js';
+import { GamepadController } from './gamepad.js';
+import { TouchControls } from './touch.js';
+import { TargetingController } from './targeting.js';
+import { MapController } from './minimap.js';
+import { RosterPanel } from './roster.js';
+import { ChatController } from './chat.js';
+import { ConnectionStatusWidget } from './connectionStatus.js';
 import { createBaselineAbilitySnapshots, getAbilityDefaults } from './abilities.js';
 
 let world;
 let network;
 let player;
+let interaction;
+let chunkStreamer;
+let controls;
+let controlsPanel;
+let gamepad;
+let touchControls;
+let targeting;
+let maps;
+let roster;
+let chat;
+let connectionStatus;
 let hudElements;
 let abilityUi;
 let levelToast;
@@ -18,6 +39,18 @@ let upgradeUi;
 let upgradeSelectionPending = false;
 let weaponUi;
 let weaponSelectionPending = false;
+let healthUi;
+let displayedHealth = null;
+let deathUi;
+let deathCountdownTimer = null;
+let respawnDeadline = 0;
+
+const CHUNK_STREAMING_OPTIONS = {
+    radius: 2,
+    prefetch: 1,
+    retention: 4,
+    hysteresis: 0.25
+};
 
 const baselineStats = {
     level: 1,
@@ -34,6 +67,8 @@ const baselineStats = {
 
 let latestStats = { ...baselineStats };
 
+const LOW_HEALTH_FRACTION = 0.3;
+
 const STAT_UPGRADE_POOL = [
     { id: 'attack', name: 'Power', description: '+2 attack' },
     { id: 'maxHealth', name: 'Vitality', description: '+10 max health' },
@@ -42,8 +77,21 @@ const STAT_UPGRADE_POOL = [
 ];
 
 function init() {
+    new EventLogPanel();
     world = new World();
-    player = new Player(world, null);
+    controls = new ControlBindings();
+    player = new Player(world, null, controls);
+    interaction = new InteractionController(world, player, null);
+    chunkStreamer = new ChunkStreamer(world, null, CHUNK_STREAMING_OPTIONS);
+    targeting = new TargetingController(world, player);
+    maps = new MapController(world, player);
+    roster = new RosterPanel(world, player);
+    chat = new ChatController(world, player);
+    controlsPanel = new ControlsPanel(controls, player);
+    gamepad = new GamepadController(world, player, interaction, targeting);
+    touchControls = new TouchControls(world, player, interaction, targeting);
+    controls.onChange(updateControlsHint);
+    updateControlsHint();
     hudElements = {
         level: document.getElementById('levelValue'),
         attack: document.getElementById('attackValue'),
@@ -54,6 +102,13 @@ function init() {
         xpFill: document.getElementById('xpFill'),
         time: document.getElementById('timeOfDay')
     };
+    healthUi = {
+        bar: document.getElementById('healthBar'),
+        fill: document.getElementById('healthFill'),
+        trail: document.getElementById('healthTrail'),
+        text: document.getElementById('healthBarText'),
+        vignette: document.getElementById('damageVignette')
+    };
     levelToast = document.getElementById('levelToast');
     abilityUi = {
         container: document.getElementById('abilityBar'),
@@ -71,6 +126,11 @@ function init() {
         hint: document.getElementById('weaponHint'),
         title: document.getElementById('weaponTitle')
     };
+    deathUi = {
+        overlay: document.getElementById('deathOverlay'),
+        cause: document.getElementById('deathCause'),
+        countdown: document.getElementById('deathCountdown')
+    };
     debugElements = {
         panel: document.getElementById('debugPanel'),
         heading: document.getElementById('debugHeading'),
@@ -95,18 +155,26 @@ function init() {
         nearest: document.getElementById('debugNearest'),
         nearestDistance: document.getElementById('debugDistance'),
         target: document.getElementById('debugTarget'),
-        targetDistance: document.getElementById('debugTargetDistance')
+        targetDistance: document.getElementById('debugTargetDistance'),
+        chunk: document.getElementById('debugChunk'),
+        loadedChunks: document.getElementById('debugLoadedChunks'),
+        requestRadius: document.getElementById('debugRequestRadius')
     };
 
     updateDebugPanel(player.getDebugSnapshot());
 
     network = new Network({
         onSocketOpen: () => {
-            log('Connected to game server.');
-            network.requestNearbyChunks(1);
+            logger.info('network', 'Connected to game server.');
+            chunkStreamer.reset();
         },
         onInitialState: (state) => {
             network.playerId = state.playerId;
+            // A fresh session starts from the server's numbers, not a drop from the baseline.
+            // A resumed one keeps the HUD and world as they were so the reconnect doesn't flash.
+            if (!state.resumed) {
+                displayedHealth = null;
+            }
             world.setLocalPlayerId(state.playerId);
             player.setPlayerId(state.playerId);
 
@@ -114,9 +182,15 @@ function init() {
                 world.applyTerrainSnapshot(state.terrain);
             }
 
-            log(`Joined world as ${state.playerId}`);
+            logger.info('network', state.resumed ? `Rejoined world as ${state.playerId}` : `Joined world as ${state.playerId}`);
 
+            // Anyone who left while we were disconnected never got a playerLeft to us.
+            const present = new Set((state.players ?? []).map(snapshot => snapshot.playerId));
+            [...world.remotePlayers.keys()]
+                .filter(playerId => !present.has(playerId))
+                .forEach(playerId => world.removeRemotePlayer(playerId));
             (state.players ?? []).forEach(snapshot => world.upsertRemotePlayer(snapshot));
+            roster.reset(state.players ?? []);
 
             if (typeof state.timeOfDay === 'number') {
                 world.updateWorldTime(state.timeOfDay);
@@ -137,37 +211,55 @@ function init() {
 
             handleWeaponChoices(state.weaponChoices);
         },
-        onPlayerState: (snapshot) => {
+        onPlayerState: (snapshot, { respawned = false } = {}) => {
             if (!snapshot) return;
             if (snapshot.playerId === network.playerId) {
-                player.applyAuthoritativeState(snapshot);
+                player.applyAuthoritativeState(snapshot, { teleport: respawned });
             } else {
                 world.upsertRemotePlayer(snapshot);
+                roster.upsert(snapshot);
             }
         },
         onPlayerJoined: (snapshot) => {
             if (!snapshot) return;
             world.upsertRemotePlayer(snapshot);
-            log(`${snapshot.displayName ?? 'Player'} joined nearby.`);
+            roster.upsert(snapshot);
+            logger.info('network', `${snapshot.displayName ?? 'Player'} joined nearby.`);
         },
         onPlayerLeft: (playerId) => {
             world.removeRemotePlayer(playerId);
-            log(`Player ${playerId} disconnected.`);
+            roster.remove(playerId);
+            logger.info('network', `Player ${playerId} disconnected.`);
+        },
+        onNearbyChunks: (chunks, chunkSize, centerChunkX, centerChunkZ) => {
+            world.ingestChunks(chunks ?? [], chunkSize);
+            chunkStreamer.handleChunksReceived(centerChunkX, centerChunkZ);
         },
-        onNearbyChunks: (chunks) => {
-            world.ingestChunks(chunks ?? []);
+        onEnvironmentUpdate: (environmentObject) => {
+            world.applyEnvironmentUpdate(environmentObject);
+            interaction.resolvePending(environmentObject?.id);
         },
         onMobUpdate: (mobs) => {
             world.applyMobUpdate(mobs);
         },
         onMobAttack: (attack) => {
             if (attack?.mobId) {
-                world.playMobAttack(attack.mobId);
+                world.playMobAttack(attack.mobId, attack.targetId ?? null);
+            }
+            if (attack?.targetId && attack.targetId === network.playerId && Number(attack.damage) > 0) {
+                // Mirrors the server, which rounds and applies at least one point.
+                const amount = Math.max(1, Math.round(Number(attack.damage)));
+                world.showCombatText('damageTaken', `-${amount}`);
             }
         },
         onPlayerAbility: (payload) => {
             if (!payload) return;
+            if (payload.playerId === network.playerId) {
+                interaction.resolvePending(payload.targetId);
+            }
+            showDamageDealt(payload.hit);
             world.setHighlightedMob(payload.targetId ?? null);
+            world.playPlayerAttack(payload.playerId, payload.targetId ?? payload.attack?.targetId ?? null);
             if (payload.attack) {
                 world.spawnAttack(payload.attack);
             }
@@ -179,27 +271,47 @@ function init() {
             if (payload?.attacks || payload?.completedAttackIds) {
                 world.updateAttacks(payload?.attacks ?? [], payload?.completedAttackIds ?? []);
             }
+            (payload?.hits ?? []).forEach(showDamageDealt);
         },
         onPlayerStats: (payload) => {
+            const previousHealth = latestStats.currentHealth;
             const normalized = payload?.stats ? updateStatsHud(payload.stats) : latestStats;
+            // Respawning from zero is the death screen's business, not a heal.
+            if (payload?.stats && previousHealth > 0 && normalized.currentHealth > previousHealth) {
+                world.showCombatText('healing', `+${Math.round(normalized.currentHealth - previousHealth)}`);
+            }
             handleUpgradeAvailability(payload?.upgradeOptions, normalized);
             handleWeaponChoices(payload?.weaponChoices);
             if (payload?.abilities) {
                 applyAbilities(payload.abilities);
             }
             if (payload?.reason) {
-                log(payload.reason);
+                logger.info(payload.reasonCategory ?? 'system', payload.reason);
             }
             if (payload?.xpAwarded) {
-                log(`Gained ${payload.xpAwarded} XP.`);
+                logger.info('progression', `Gained ${payload.xpAwarded} XP.`, { xp: payload.xpAwarded });
+                world.showCombatText('xp', `+${payload.xpAwarded} XP`);
             }
             if (payload?.leveledUp) {
                 showLevelToast(`Level ${payload.stats?.level ?? ''}!`);
+                world.showCombatText('levelUp', 'Level up!');
+                world.playLevelUp();
             }
+        },
+        onChatMessage: (message) => {
+            chat.receive(message);
+        },
+        onPlayerDefeated: (payload) => {
+            if (!payload || payload.playerId !== network.playerId) return;
+            showDeathScreen(payload.defeatedBy, payload.respawnSeconds);
         }
     });
 
     player.network = network;
+    chunkStreamer.network = network;
+    interaction.network = network;
+    chat.network = network;
+    connectionStatus = new ConnectionStatusWidget(network);
 
     updateStatsHud(baselineStats);
     hideUpgradeOptions();
@@ -220,8 +332,15 @@ function animate() {
     let debugSnapshot = null;
 
     if (player) {
+        gamepad?.update();
         player.update();
         player.sendMovementToServerIfNeeded();
+        interaction?.update();
+        targeting?.update();
+        maps?.update();
+        roster?.update();
+        connectionStatus?.update();
+        chunkStreamer?.update(player.position);
         debugSnapshot = player.getDebugSnapshot();
     }
     if (world) {
@@ -271,6 +390,7 @@ function updateStatsHud(stats) {
     hudElements.level.textContent = level;
     hudElements.attack.textContent = attack;
     hudElements.health.textContent = `${currentHealth} / ${maxHealth}`;
+    updateHealthBar(currentHealth, maxHealth);
 
     if (hudElements.attackSpeed) {
         hudElements.attackSpeed.textContent = `${attackSpeed.toFixed(2)}x`;
@@ -299,10 +419,62 @@ function updateStatsHud(stats) {
     if (player && typeof player.setStats === 'function') {
         player.setStats(latestStats);
     }
+    world?.setEtherealAura(latestStats.isEthereal);
+    roster?.setLocalLevel(level);
+    document.body.dataset.ethereal = latestStats.isEthereal ? 'true' : 'false';
+
+    // The server only restores health on respawn, so that is the cue to lift the death screen.
+    if (currentHealth > 0) {
+        hideDeathScreen();
+    }
 
     return latestStats;
 }
 
+function updateHealthBar(currentHealth, maxHealth) {
+    if (!healthUi?.bar) {
+        return;
+    }
+    const fraction = maxHealth > 0 ? Math.max(0, Math.min(1, currentHealth / maxHealth)) : 0;
+    const width = `${(fraction * 100).toFixed(1)}%`;
+    const previous = displayedHealth;
+    displayedHealth = { currentHealth, maxHealth };
+
+    healthUi.fill.style.width = width;
+    healthUi.text.textContent = `${currentHealth} / ${maxHealth}`;
+
+    const lost = previous ? previous.currentHealth - currentHealth : 0;
+    if (lost > 0) {
+        // The trail keeps its old width and drains after a delay, showing the chunk just lost.
+        healthUi.trail.style.width = width;
+        flashDamageVignette(lost / Math.max(1, maxHealth));
+    } else {
+        // Heals and respawns snap the trail so it never shows as damage.
+        healthUi.trail.style.transition = 'none';
+        healthUi.trail.style.width = width;
+        void healthUi.trail.offsetWidth;
+        healthUi.trail.style.transition = '';
+    }
+
+    const low = currentHealth > 0 && fraction <= LOW_HEALTH_FRACTION;
+    healthUi.bar.dataset.low = low ? 'true' : 'false';
+    document.body.dataset.lowHealth = low ? 'true' : 'false';
+}
+
+function flashDamageVignette(damageFraction) {
+    const vignette = healthUi?.vignette;
+    if (!vignette) {
+        return;
+    }
+    // Grazes still register; a hit for a third of max health or more is a full flash.
+    const intensity = Math.min(1, 0.3 + damageFraction * 2.1);
+    vignette.style.transition = 'none';
+    vignette.style.opacity = intensity.toFixed(2);
+    void vignette.offsetWidth;
+    vignette.style.transition = '';
+    vignette.style.opacity = '0';
+}
+
 function updateTimeHud(timeOfDay) {
     if (!hudElements?.time) return;
     const totalMinutes = (timeOfDay ?? 0) * 24 * 60;
@@ -354,6 +526,7 @@ function applyAbilities(abilities) {
         let slot = abilityUi.slots.get(id);
         if (!slot) {
             slot = createAbilitySlot();
+            slot.root.addEventListener('click', () => player.toggleAutoCast(id));
             abilityUi.slots.set(id, slot);
             container.appendChild(slot.root);
         }
@@ -470,7 +643,7 @@ function chooseUpgrade(statId, label) {
         return;
     }
     if (!network || typeof network.sendStatUpgrade !== 'function') {
-        log('Unable to send upgrade selection right now.');
+        logger.warn('progression', 'Unable to send upgrade selection right now.');
         return;
     }
 
@@ -488,7 +661,7 @@ function chooseUpgrade(statId, label) {
     }
 
     const labelText = label ?? statId;
-    log(`Allocating stat point to ${labelText}.`);
+    logger.info('progression', `Allocating stat point to ${labelText}.`);
     network.sendStatUpgrade(statId);
 }
 
@@ -571,7 +744,7 @@ function chooseWeapon(abilityId, label) {
         return;
     }
     if (!network || typeof network.sendWeaponChoice !== 'function') {
-        log('Unable to send weapon selection right now.');
+        logger.warn('progression', 'Unable to send weapon selection right now.');
         return;
     }
 
@@ -588,7 +761,7 @@ function chooseWeapon(abilityId, label) {
         });
     }
 
-    log(`Equipping ${label ?? abilityId}.`);
+    logger.info('progression', `Equipping ${label ?? abilityId}.`);
     network.sendWeaponChoice(abilityId);
 }
 
@@ -622,8 +795,11 @@ function refreshAbilityCooldowns(abilityStates) {
         if (state.autoCast) {
             slot.key.textContent = keyLabel ? `AUTO · ${keyLabel}` : 'AUTO';
         } else {
-            slot.key.textContent = keyLabel;
+            slot.key.textContent = slotIndex ? `KEY ${slotIndex}` : keyLabel;
         }
+        slot.root.title = state.autoCast
+            ? 'Auto cast · click or Shift+number to cast manually'
+            : 'Manual cast · click or Shift+number to auto cast';
         if (state.ready) {
             slot.root.dataset.available = 'true';
             slot.cooldown.textContent = 'Ready';
@@ -637,8 +813,29 @@ function refreshAbilityCooldowns(abilityStates) {
     });
 }
 
+function updateControlsHint() {
+    const hint = document.getElementById('controlsHint');
+    if (!hint || !controls) {
+        return;
+    }
+    const moveKeys = ['moveForward', 'strafeLeft', 'moveBackward', 'strafeRight']
+        .map(actionId => formatKeyCode(controls.getBindings(actionId)[0]));
+    const moveText = moveKeys.every(key => key.length === 1) ? moveKeys.join('') : moveKeys.join('/');
+    hint.textContent = [
+        'Click and move mouse to aim',
+        'Scroll to zoom camera',
+        `${moveText} move relative to aim`,
+        `${controls.describe('interact')} or click to interact`,
+        `${controls.describe('cycleTarget')} or click a mob to lock target`,
+        'Click a skill to switch auto/manual · 1–9 cast manual skills',
+        `${controls.describe('toggleMap')} for world map · ${controls.describe('toggleRoster')} for player list`,
+        'Enter to chat',
+        `Press ${controls.describe('toggleDebug')} for debug overlay`
+    ].join(' · ');
+}
+
 function handleGlobalKeyDown(evt) {
-    if (evt.code === 'F3') {
+    if (controls.matches('toggleDebug', evt.code) && !evt.repeat) {
         debugEnabled = !debugEnabled;
         world.setDebugMode(debugEnabled);
         if (!debugEnabled) {
@@ -646,7 +843,7 @@ function handleGlobalKeyDown(evt) {
         } else {
             updateDebugPanel(player?.getDebugSnapshot() ?? null);
         }
-        log(`Debug mode ${debugEnabled ? 'enabled' : 'disabled'}.`);
+        logger.info('system', `Debug mode ${debugEnabled ? 'enabled' : 'disabled'}.`);
     }
 }
 
@@ -703,6 +900,55 @@ function updateDebugPanel(info) {
     if (debugElements.nearestDistance) debugElements.nearestDistance.textContent = nearestDistance;
     if (debugElements.target) debugElements.target.textContent = targetId;
     if (debugElements.targetDistance) debugElements.targetDistance.textContent = targetDistance;
+
+    const streaming = chunkStreamer?.getDebugInfo();
+    if (debugElements.chunk) debugElements.chunk.textContent = streaming?.chunk ? `${streaming.chunk.x}, ${streaming.chunk.z}` : '—';
+    if (debugElements.loadedChunks) debugElements.loadedChunks.textContent = streaming ? String(streaming.loadedChunks) : '—';
+    if (debugElements.requestRadius) debugElements.requestRadius.textContent = streaming ? String(streaming.requestRadius) : '—';
+}
+
+/**
+ * Hits arrive with every player's attacks, so only the local player's are floated.
+ */
+function showDamageDealt(hit) {
+    if (!hit?.targetId || hit.playerId !== network.playerId || !(hit.damage > 0)) {
+        return;
+    }
+    world.showCombatText('damageDealt', String(hit.damage), { mobId: hit.targetId });
+}
+
+function showDeathScreen(defeatedBy, respawnSeconds) {
+    if (!deathUi?.overlay) {
+        return;
+    }
+    deathUi.cause.textContent = defeatedBy ? `Slain by ${defeatedBy}` : 'Slain';
+    respawnDeadline = performance.now() + Math.max(0, Number(respawnSeconds) || 0) * 1000;
+    deathUi.overlay.dataset.visible = 'true';
+    updateDeathCountdown();
+    if (deathCountdownTimer) {
+        window.clearInterval(deathCountdownTimer);
+    }
+    deathCountdownTimer = window.setInterval(updateDeathCountdown, 200);
+}
+
+function updateDeathCountdown() {
+    if (!deathUi?.countdown) {
+        return;
+    }
+    const remaining = Math.ceil((respawnDeadline - performance.now()) / 1000);
+    // Once the timer runs out we wait on the server's respawn rather than guessing.
+    deathUi.countdown.textContent = remaining > 0 ? `Respawning in ${remaining}` : 'Respawning…';
+}
+
+function hideDeathScreen() {
+    if (deathCountdownTimer) {
+        window.clearInterval(deathCountdownTimer);
+        deathCountdownTimer = null;
+    }
+    if (!deathUi?.overlay || deathUi.overlay.dataset.visible !== 'true') {
+        return;
+    }
+    deathUi.overlay.dataset.visible = 'false';
 }
 
 function showLevelToast(text) {
@@ -0,0 +1,357 @@
+// attackEffects.js - pooled attack visuals picked by ability id, then by attack behavior
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.161.0/build/three.module.js';
+
+const GROUND_EFFECT_HEIGHT = 0.2;
+const AIR_EFFECT_HEIGHT = 1.2;
+const FADE_OUT_MS = 200;
+const STALE_ATTACK_MS = 800;
+const MAX_EXTRAPOLATION_MS = 150;
+const TRAIL_POINTS = 12;
+
+const BEHAVIOR_EFFECTS = {
+    melee: { kind: 'ring', color: 0xffc478 },
+    sweep: { kind: 'ring', color: 0xffc478 },
+    projectile: { kind: 'projectile', color: 0xffc478, size: 0.35 }
+};
+
+const ABILITY_EFFECTS = {
+    swordSweep: { kind: 'ring', color: 0xffd9a0 },
+    shadowDaggers: { kind: 'ring', color: 0x8a6cff },
+    arrowStrike: { kind: 'projectile', color: 0xe8f0ff, size: 0.18 },
+    fireball: { kind: 'projectile', color: 0xff7a2e, size: 0.6 },
+    stormChaser: { kind: 'projectile', color: 0x9fd7ff, size: 0.4 },
+    windBlade: { kind: 'projectile', color: 0xc8ffe6, size: 0.3 },
+    frostNova: { kind: 'nova', color: 0x8fdcff },
+    earthshatter: { kind: 'nova', color: 0xc48a4a },
+    arcaneOrbit: { kind: 'orbit', color: 0xc58bff, count: 3, size: 0.35 },
+    voidLance: { kind: 'beam', color: 0x9b5cff, size: 0.3 }
+};
+
+export function resolveAttackEffect(abilityId, behavior) {
+    const key = typeof behavior === 'string' ? behavior.toLowerCase() : '';
+    return ABILITY_EFFECTS[abilityId] ?? BEHAVIOR_EFFECTS[key] ?? BEHAVIOR_EFFECTS.melee;
+}
+
+function createGlowMaterial() {
+    return new THREE.MeshBasicMaterial({ transparent: true, depthWrite: false, side: THREE.DoubleSide });
+}
+
+function setColor(visual, color) {
+    visual.materials.forEach(material => material.color.setHex(color));
+}
+
+function setOpacity(visual, opacity) {
+    visual.materials.forEach(material => {
+        material.opacity = opacity * (material.userData.baseOpacity ?? 1);
+    });
+}
+
+function createRing() {
+    const material = createGlowMaterial();
+    material.userData.baseOpacity = 0.65;
+    const mesh = new THREE.Mesh(new THREE.RingGeometry(0.6, 1, 32), material);
+    mesh.rotation.x = -Math.PI / 2;
+    return { group: mesh, materials: [material] };
+}
+
+function createNova() {
+    const material = createGlowMaterial();
+    material.userData.baseOpacity = 0.8;
+    const mesh = new THREE.Mesh(new THREE.RingGeometry(0.85, 1, 48), material);
+    mesh.rotation.x = -Math.PI / 2;
+    return { group: mesh, materials: [material] };
+}
+
+function createProjectile() {
+    const group = new THREE.Group();
+    const headMaterial = createGlowMaterial();
+    const head = new THREE.Mesh(new THREE.SphereGeometry(1, 16, 12), headMaterial);
+    group.add(head);
+
+    const trailGeometry = new THREE.BufferGeometry();
+    trailGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(TRAIL_POINTS * 3), 3));
+    const trailMaterial = new THREE.LineBasicMaterial({ transparent: true, depthWrite: false });
+    trailMaterial.userData.baseOpacity = 0.6;
+    const trail = new THREE.Line(trailGeometry, trailMaterial);
+    // Trail vertices are written in world space, so the group itself never moves.
+    trail.frustumCulled = false;
+    group.add(trail);
+
+    return { group, head, trail, materials: [headMaterial, trailMaterial] };
+}
+
+function createOrbit() {
+    const group = new THREE.Group();
+    const material = createGlowMaterial();
+    const geometry = new THREE.SphereGeometry(1, 14, 10);
+    const orbs = Array.from({ length: 4 }, () => {
+        const orb = new THREE.Mesh(geometry, material);
+        group.add(orb);
+        return orb;
+    });
+    return { group, orbs, materials: [material] };
+}
+
+function createBeam() {
+    const group = new THREE.Group();
+    const beamMaterial = createGlowMaterial();
+    beamMaterial.userData.baseOpacity = 0.75;
+    const beam = new THREE.Mesh(new THREE.BoxGeometry(1, 1, 1), beamMaterial);
+    group.add(beam);
+    const headMaterial = createGlowMaterial();
+    const head = new THREE.Mesh(new THREE.SphereGeometry(1, 14, 10), headMaterial);
+    group.add(head);
+    return { group, beam, head, materials: [beamMaterial, headMaterial] };
+}
+
+const EFFECT_BUILDERS = {
+    ring: createRing,
+    nova: createNova,
+    projectile: createProjectile,
+    orbit: createOrbit,
+    beam: createBeam
+};
+
+export class AttackEffects {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {(x: number, z: number) => number} getGroundHeight
+     */
+    constructor(scene, getGroundHeight) {
+        this.scene = scene;
+        this.getGroundHeight = getGroundHeight;
+        this.attacks = new Map();
+        this.pools = new Map();
+    }
+
+    acquire(kind) {
+        const pool = this.pools.get(kind);
+        const visual = pool?.pop() ?? (EFFECT_BUILDERS[kind] ?? EFFECT_BUILDERS.ring)();
+        if (!visual.kind) {
+            visual.kind = kind;
+            this.scene.add(visual.group);
+        }
+        visual.group.visible = true;
+        return visual;
+    }
+
+    release(visual) {
+        visual.group.visible = false;
+        if (!this.pools.has(visual.kind)) {
+            this.pools.set(visual.kind, []);
+        }
+        this.pools.get(visual.kind).push(visual);
+    }
+
+    /**
+     * Starts or refreshes an attack. Spawn payloads carry origin, direction and timing;
+     * tick snapshots only carry position and progress, so missing fields are kept.
+     */
+    track(data, now) {
+        const id = data?.attackId ?? data?.id;
+        if (!id) {
+            return null;
+        }
+        let attack = this.attacks.get(id);
+        if (!attack) {
+            const style = resolveAttackEffect(data.abilityId, data.behavior);
+            attack = {
+                id,
+                style,
+                visual: this.acquire(style.kind),
+                spawnTime: now,
+                trail: []
+            };
+            setColor(attack.visual, style.color);
+            this.attacks.set(id, attack);
+        }
+        attack.completed = false;
+        attack.expireAt = null;
+        attack.lastUpdated = now;
+        return attack;
+    }
+
+    spawn(data) {
+        const now = performance.now();
+        const attack = this.track(data, now);
+        if (!attack) {
+            return;
+        }
+        attack.spawnTime = now;
+        attack.originX = data.originX ?? data.x ?? 0;
+        attack.originZ = data.originZ ?? data.z ?? 0;
+        attack.dirX = data.directionX ?? 0;
+        attack.dirZ = data.directionZ ?? 1;
+        attack.speed = data.speed ?? 0;
+        attack.range = data.range ?? 0;
+        attack.radius = Math.max(data.radius ?? 1, 0.3);
+        attack.windupMs = (data.windupSeconds ?? 0) * 1000;
+        attack.lifetimeMs = data.lifetimeSeconds > 0 ? data.lifetimeSeconds * 1000 : null;
+        attack.snapshot = null;
+        attack.trail.length = 0;
+    }
+
+    applySnapshots(snapshots = [], completedIds = []) {
+        const now = performance.now();
+        if (Array.isArray(snapshots)) {
+            snapshots.forEach(snapshot => {
+                const attack = this.track(snapshot, now);
+                if (!attack) {
+                    return;
+                }
+                const x = snapshot.x ?? 0;
+                const z = snapshot.z ?? 0;
+                // Attacks first seen through a snapshot get their origin and heading from it.
+                if (attack.originX === undefined) {
+                    attack.originX = x;
+                    attack.originZ = z;
+                    attack.dirX = 0;
+                    attack.dirZ = 1;
+                } else if (attack.snapshot && !attack.speed) {
+                    const dx = x - attack.snapshot.x;
+                    const dz = z - attack.snapshot.z;
+                    const length = Math.hypot(dx, dz);
+                    if (length > 1e-3) {
+                        attack.dirX = dx / length;
+                        attack.dirZ = dz / length;
+                    }
+                }
+                attack.radius = Math.max(snapshot.radius ?? attack.radius ?? 1, 0.3);
+                attack.snapshot = { x, z, time: now };
+                attack.completed = Boolean(snapshot.completed);
+                const progress = typeof snapshot.progress === 'number' ? snapshot.progress : null;
+                if (progress !== null && attack.lifetimeMs) {
+                    // Re-anchor local timing on the server's progress so effects stay in step.
+                    attack.spawnTime = now - progress * attack.lifetimeMs;
+                }
+                attack.progress = progress ?? attack.progress ?? 0;
+            });
+        }
+
+        if (Array.isArray(completedIds)) {
+            completedIds.forEach(id => {
+                const attack = this.attacks.get(id);
+                if (attack) {
+                    attack.completed = true;
+                    attack.expireAt = now + FADE_OUT_MS;
+                }
+            });
+        }
+    }
+
+    getProgress(attack, now) {
+        if (attack.lifetimeMs) {
+            return THREE.MathUtils.clamp((now - attack.spawnTime) / attack.lifetimeMs, 0, 1);
+        }
+        return attack.progress ?? 0;
+    }
+
+    /**
+     * Projectile head: the last snapshot pushed forward a little, or the spawn
+     * trajectory before the first snapshot arrives.
+     */
+    getHeadPosition(attack, now, out) {
+        if (attack.snapshot) {
+            const ahead = Math.min(now - attack.snapshot.time, MAX_EXTRAPOLATION_MS) / 1000 * (attack.speed ?? 0);
+            return out.set(attack.snapshot.x + attack.dirX * ahead, 0, attack.snapshot.z + attack.dirZ * ahead);
+        }
+        const travelled = Math.max(0, now - attack.spawnTime - (attack.windupMs ?? 0)) / 1000 * (attack.speed ?? 0);
+        const distance = attack.range ? Math.min(travelled, attack.range) : travelled;
+        return out.set(attack.originX + attack.dirX * distance, 0, attack.originZ + attack.dirZ * distance);
+    }
+
+    update(now = performance.now()) {
+        for (const [id, attack] of this.attacks) {
+            const expired = attack.completed && attack.expireAt && attack.expireAt <= now;
+            const stale = !attack.completed && now - attack.lastUpdated > STALE_ATTACK_MS;
+            if (expired || stale) {
+                this.release(attack.visual);
+                this.attacks.delete(id);
+                continue;
+            }
+            const fade = attack.completed && attack.expireAt
+                ? THREE.MathUtils.clamp((attack.expireAt - now) / FADE_OUT_MS, 0, 1)
+                : 1;
+            this.updateVisual(attack, now, fade);
+        }
+    }
+
+    updateVisual(attack, now, fade) {
+        const { visual, style } = attack;
+        const progress = this.getProgress(attack, now);
+        const centerX = attack.snapshot?.x ?? attack.originX;
+        const centerZ = attack.snapshot?.z ?? attack.originZ;
+
+        switch (visual.kind) {
+            case 'nova': {
+                // Ease out so the ring bursts outward then slows at full radius.
+                const eased = 1 - (1 - progress) * (1 - progress);
+                visual.group.position.set(centerX, this.getGroundHeight(centerX, centerZ) + GROUND_EFFECT_HEIGHT, centerZ);
+                visual.group.scale.setScalar(Math.max(0.05, attack.radius * eased));
+                setOpacity(visual, (1 - progress) * fade);
+                break;
+            }
+
+            case 'projectile': {
+                const head = this.getHeadPosition(attack, now, visual.head.position);
+                head.y = this.getGroundHeight(head.x, head.z) + AIR_EFFECT_HEIGHT;
+                visual.head.scale.setScalar(style.size ?? 0.35);
+                this.writeTrail(attack, visual.trail, head);
+                setOpacity(visual, fade);
+                break;
+            }
+
+            case 'orbit': {
+                const count = Math.min(style.count ?? 3, visual.orbs.length);
+                const centerY = this.getGroundHeight(centerX, centerZ) + AIR_EFFECT_HEIGHT;
+                const angle = (now - attack.spawnTime) * 0.006;
+                const orbitRadius = attack.radius * 0.6;
+                visual.orbs.forEach((orb, index) => {
+                    orb.visible = index < count;
+                    const theta = angle + (index / count) * Math.PI * 2;
+                    orb.position.set(centerX + Math.sin(theta) * orbitRadius, centerY, centerZ + Math.cos(theta) * orbitRadius);
+                    orb.scale.setScalar(style.size ?? 0.35);
+                });
+                setOpacity(visual, fade);
+                break;
+            }
+
+            case 'beam': {
+                const head = this.getHeadPosition(attack, now, visual.head.position);
+                const startY = this.getGroundHeight(attack.originX, attack.originZ) + AIR_EFFECT_HEIGHT;
+                head.y = this.getGroundHeight(head.x, head.z) + AIR_EFFECT_HEIGHT;
+                const dx = head.x - attack.originX;
+                const dz = head.z - attack.originZ;
+                const length = Math.max(0.01, Math.hypot(dx, dz));
+                const width = style.size ?? 0.3;
+                visual.beam.position.set((attack.originX + head.x) / 2, (startY + head.y) / 2, (attack.originZ + head.z) / 2);
+                visual.beam.rotation.y = Math.atan2(dx, dz);
+                visual.beam.scale.set(width, width, length);
+                visual.head.scale.setScalar(width * 1.6);
+                setOpacity(visual, fade);
+                break;
+            }
+
+            default: {
+                visual.group.position.set(centerX, this.getGroundHeight(centerX, centerZ) + GROUND_EFFECT_HEIGHT, centerZ);
+                visual.group.scale.setScalar(attack.radius * (0.85 + progress * 0.15));
+                setOpacity(visual, fade);
+                break;
+            }
+        }
+    }
+
+    writeTrail(attack, line, head) {
+        // Recycle the oldest point so a full trail allocates nothing per frame.
+        const trail = attack.trail;
+        const point = trail.length < TRAIL_POINTS ? new THREE.Vector3() : trail.pop();
+        trail.unshift(point.copy(head));
+        const positions = line.geometry.attributes.position;
+        for (let i = 0; i < TRAIL_POINTS; i++) {
+            const point = trail[Math.min(i, trail.length - 1)];
+            positions.setXYZ(i, point.x, point.y, point.z);
+        }
+        positions.needsUpdate = true;
+    }
+}
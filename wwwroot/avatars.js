@@ -1,5 +1,10 @@
+// avatars.js - humanoid rigs for players and mobs with walk cycles, attack swings and arm aiming
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.161.0/build/three.module.js';
+
 const DOWN_AXIS = new THREE.Vector3(0, -1, 0);
-const FORWARD_AXIS = new THREE.Vector3(0, 0, -1);
+// Rigs face +Z so rotation.y matches the world's atan2(dx, dz) headings.
+const FORWARD_AXIS = new THREE.Vector3(0, 0, 1);
 const SIDE_AXIS = new THREE.Vector3(1, 0, 0);
 
 const _aimDir = new THREE.Vector3();
@@ -200,6 +205,12 @@ function buildHumanoid(options = {}) {
     rightFoot.position.set(0, -lowerLegLength, 0.12);
     rightKnee.add(rightFoot);
 
+    // Lift everything so the soles rest on the group origin, like the other world meshes.
+    const footLift = upperLegLength + lowerLegLength + 0.07 - hipHeight;
+    group.children.forEach(child => {
+        child.position.y += footLift;
+    });
+
     group.traverse(node => {
         if (node.isMesh) {
             node.castShadow = true;
@@ -233,7 +244,7 @@ function buildHumanoid(options = {}) {
         state: {
             movePhase: Math.random() * Math.PI * 2,
             attackTimer: 0,
-            aimDirectionWorld: new THREE.Vector3(0, 0, -1),
+            aimDirectionWorld: new THREE.Vector3(0, 0, 1),
             aimBlend: 0
         },
         dimensions: {
@@ -275,6 +286,43 @@ export function createPlayerAvatar(overrides = {}) {
     });
 }
 
+function decorateMob(group, data, overrides) {
+    if (!data?.parts?.head) {
+        return;
+    }
+    const hornMaterial = new THREE.MeshStandardMaterial({ color: overrides.hornColor ?? 0xffa86b, metalness: 0.3, roughness: 0.4 });
+    const hornGeometry = new THREE.ConeGeometry(0.12, 0.4, 12);
+    const leftHorn = new THREE.Mesh(hornGeometry, hornMaterial);
+    leftHorn.position.set(0.18, data.parts.head.position.y + 0.15, 0.12);
+    leftHorn.rotation.set(Math.PI / 2.4, 0, -Math.PI / 6);
+    const rightHorn = leftHorn.clone();
+    rightHorn.position.x *= -1;
+    rightHorn.rotation.z *= -1;
+    group.add(leftHorn);
+    group.add(rightHorn);
+
+    const leftShoulder = data.parts.leftShoulder;
+    const rightShoulder = data.parts.rightShoulder;
+    if (!leftShoulder || !rightShoulder) {
+        return;
+    }
+    const pauldronGeometry = new THREE.ConeGeometry(0.45, 0.5, 16, 1, true);
+    const pauldronMaterial = new THREE.MeshStandardMaterial({
+        color: overrides.pauldronColor ?? 0x8e2f3a,
+        metalness: 0.4,
+        roughness: 0.35,
+        side: THREE.DoubleSide
+    });
+    const leftPauldrons = new THREE.Mesh(pauldronGeometry, pauldronMaterial);
+    leftPauldrons.position.set(0.18, -0.05, 0);
+    leftPauldrons.rotation.z = Math.PI / 2;
+    leftShoulder.add(leftPauldrons);
+    const rightPauldrons = leftPauldrons.clone();
+    rightPauldrons.position.x *= -1;
+    rightPauldrons.rotation.z *= -1;
+    rightShoulder.add(rightPauldrons);
+}
+
 export function createMobAvatar(overrides = {}) {
     const mob = buildHumanoid({
         bodyColor: overrides.bodyColor ?? 0x3b1d29,
@@ -284,40 +332,11 @@ export function createMobAvatar(overrides = {}) {
         weaponHandleColor: overrides.weaponHandleColor ?? 0x3a241b,
         height: overrides.height ?? 1.9,
         decorate(group, data) {
-            if (!data?.parts?.head) {
-                return;
-            }
-            const hornMaterial = new THREE.MeshStandardMaterial({ color: 0xffa86b, metalness: 0.3, roughness: 0.4 });
-            const hornGeometry = new THREE.ConeGeometry(0.12, 0.4, 12);
-            const leftHorn = new THREE.Mesh(hornGeometry, hornMaterial);
-            leftHorn.position.set(0.18, data.parts.head.position.y + 0.15, 0.12);
-            leftHorn.rotation.set(Math.PI / 2.4, 0, -Math.PI / 6);
-            const rightHorn = leftHorn.clone();
-            rightHorn.position.x *= -1;
-            rightHorn.rotation.z *= -1;
-            group.add(leftHorn);
-            group.add(rightHorn);
-
-            const leftShoulder = data.parts.leftShoulder;
-            const rightShoulder = data.parts.rightShoulder;
-            if (!leftShoulder || !rightShoulder) {
-                return;
+            decorateMob(group, data, overrides);
+            // Appearance-specific extras go on top of the shared horns and pauldrons.
+            if (typeof overrides.decorate === 'function') {
+                overrides.decorate(group, data);
             }
-            const pauldronGeometry = new THREE.ConeGeometry(0.45, 0.5, 16, 1, true);
-            const pauldronMaterial = new THREE.MeshStandardMaterial({
-                color: overrides.pauldronColor ?? 0x8e2f3a,
-                metalness: 0.4,
-                roughness: 0.35,
-                side: THREE.DoubleSide
-            });
-            const leftPauldrons = new THREE.Mesh(pauldronGeometry, pauldronMaterial);
-            leftPauldrons.position.set(0.18, -0.05, 0);
-            leftPauldrons.rotation.z = Math.PI / 2;
-            leftShoulder.add(leftPauldrons);
-            const rightPauldrons = leftPauldrons.clone();
-            rightPauldrons.position.x *= -1;
-            rightPauldrons.rotation.z *= -1;
-            rightShoulder.add(rightPauldrons);
         }
     });
 
@@ -366,18 +385,17 @@ export function updateHumanoidAnimation(group, delta, context = {}) {
         parts.rightFoot.rotation.x = Math.max(-0.25, step * 0.45);
     }
     if (parts.leftArmUpper) {
-        parts.leftArmUpper.rotation.x = -step * 0.6;
-        parts.leftArmUpper.rotation.y = 0;
+        parts.leftArmUpper.rotation.set(-step * 0.6, 0, 0);
     }
     if (parts.leftArmLower) {
         parts.leftArmLower.rotation.x = Math.max(0, step * 0.35);
     }
     if (parts.rightArmUpper) {
-        parts.rightArmUpper.rotation.x = step * 0.4 - 0.25;
-        parts.rightArmUpper.rotation.y = 0;
+        // Full resets: the aim IK below writes quaternions that would otherwise leave roll behind.
+        parts.rightArmUpper.rotation.set(step * 0.4 - 0.25, 0, 0);
     }
     if (parts.rightArmLower) {
-        parts.rightArmLower.rotation.x = Math.max(0, -step * 0.2);
+        parts.rightArmLower.rotation.set(Math.max(0, -step * 0.2), 0, 0);
     }
     if (parts.rightHand) {
         parts.rightHand.rotation.set(0, 0, 0);
@@ -504,7 +522,7 @@ function prepareAimData(group, context, parts, dimensions, state) {
             _aimDir.copy(context.aimDirection);
         } else if (typeof context.aimHeading === 'number') {
             _ikEuler.set(context.aimPitch ?? 0, context.aimHeading, 0, 'YXZ');
-            _aimDir.set(0, 0, -1).applyEuler(_ikEuler);
+            _aimDir.copy(FORWARD_AXIS).applyEuler(_ikEuler);
         } else {
             _aimDir.copy(FORWARD_AXIS).applyQuaternion(group.quaternion);
         }
@@ -572,12 +590,11 @@ function solveArmIk(shoulder, elbow, hand, upperLen, lowerLen, bendNormal, paren
     alignTwist(_shoulderWorldQuat, _planeRight, _upperDir);
     _localShoulderQuat.copy(parentInverse).multiply(_shoulderWorldQuat);
 
-    const upperWorldQuat = _shoulderWorldQuat;
-    _tmpQuat.copy(upperWorldQuat).invert();
-
     _elbowWorldQuat.setFromUnitVectors(DOWN_AXIS, _lowerDir);
     alignTwist(_elbowWorldQuat, _planeRight, _lowerDir);
-    _localElbowQuat.copy(_tmpQuat).multiply(_elbowWorldQuat);
+    // The elbow hangs off the upper arm, so its local rotation is relative to the shoulder's.
+    _tmpQuat2.copy(_shoulderWorldQuat).invert();
+    _localElbowQuat.copy(_tmpQuat2).multiply(_elbowWorldQuat);
 
     if (hand) {
         const handAngle = elbowAngle - Math.PI * 0.5;
@@ -602,6 +619,7 @@ function alignTwist(quaternion, desiredRight, forwardDir) {
     if (_tmpVec3.dot(forwardDir) < 0) {
         angle = -angle;
     }
+    // forwardDir is a world axis, so the twist has to be applied in world space.
     _tmpQuat.setFromAxisAngle(forwardDir, angle);
-    quaternion.multiply(_tmpQuat);
+    quaternion.premultiply(_tmpQuat);
 }
@@ -0,0 +1,175 @@
+// chat.js - chat input, scrollback and channel switching; the server relays and rate-limits
+
+import { getPlayerColor, toCssColor } from './playerColors.js';
+
+export const CHAT_CHANNELS = {
+    proximity: { label: 'Say', tag: 'S' },
+    global: { label: 'Global', tag: 'G' },
+    system: { label: 'System', tag: '!' }
+};
+
+const MAX_SCROLLBACK = 100;
+const MAX_MESSAGE_LENGTH = 200;
+// Typed prefixes that switch channel for a single message.
+const CHANNEL_PREFIXES = [
+    { pattern: /^\/(?:g|global)\s+/i, channel: 'global' },
+    { pattern: /^\/(?:s|say)\s+/i, channel: 'proximity' }
+];
+
+export class ChatController {
+    constructor(world, player, network = null) {
+        this.world = world;
+        this.player = player;
+        this.network = network;
+        this.channel = 'proximity';
+
+        this.panel = document.getElementById('chatPanel');
+        this.log = document.getElementById('chatLog');
+        this.input = document.getElementById('chatInput');
+        this.channelLabel = document.getElementById('chatChannel');
+        if (this.input) {
+            this.input.maxLength = MAX_MESSAGE_LENGTH;
+        }
+        this.channelLabel?.addEventListener('mousedown', (evt) => {
+            // Keep focus in the input while switching channel.
+            evt.preventDefault();
+            this.cycleChannel();
+        });
+        this.updateChannelLabel();
+
+        // Capture phase so typed keys never reach movement, ability or menu bindings.
+        window.addEventListener('keydown', (evt) => this.handleKeyDown(evt), true);
+    }
+
+    isOpen() {
+        return this.panel?.dataset.open === 'true';
+    }
+
+    open() {
+        if (!this.panel || !this.input || this.isOpen()) {
+            return;
+        }
+        this.panel.dataset.open = 'true';
+        this.player?.setMenuState?.('chat', true);
+        this.input.value = '';
+        this.input.focus();
+    }
+
+    close() {
+        if (!this.panel || !this.isOpen()) {
+            return;
+        }
+        this.panel.dataset.open = 'false';
+        this.input?.blur();
+        this.player?.setMenuState?.('chat', false);
+    }
+
+    handleKeyDown(evt) {
+        if (!this.isOpen()) {
+            if (evt.code === 'Enter' && !evt.repeat && !isTypingElsewhere(evt.target)) {
+                evt.preventDefault();
+                evt.stopImmediatePropagation();
+                this.open();
+            }
+            return;
+        }
+
+        evt.stopImmediatePropagation();
+        if (evt.code === 'Enter') {
+            evt.preventDefault();
+            this.submit();
+            this.close();
+        } else if (evt.code === 'Escape') {
+            evt.preventDefault();
+            this.close();
+        } else if (evt.code === 'Tab') {
+            evt.preventDefault();
+            this.cycleChannel();
+        }
+    }
+
+    cycleChannel() {
+        this.channel = this.channel === 'proximity' ? 'global' : 'proximity';
+        this.updateChannelLabel();
+    }
+
+    updateChannelLabel() {
+        if (!this.channelLabel) {
+            return;
+        }
+        this.channelLabel.textContent = CHAT_CHANNELS[this.channel].label;
+        this.channelLabel.dataset.channel = this.channel;
+    }
+
+    submit() {
+        let text = this.input?.value.trim() ?? '';
+        let channel = this.channel;
+        for (const prefix of CHANNEL_PREFIXES) {
+            if (prefix.pattern.test(text)) {
+                text = text.replace(prefix.pattern, '').trim();
+                channel = prefix.channel;
+                break;
+            }
+        }
+        if (!text) {
+            return;
+        }
+        if (!this.network?.isOpen()) {
+            this.receive({ channel: 'system', text: 'Not connected; message not sent.' });
+            return;
+        }
+        this.network.sendChatMessage(text, channel);
+    }
+
+    /**
+     * Appends a relayed message to the scrollback and pops a bubble over the speaker.
+     */
+    receive(message) {
+        if (!message?.text || !this.log) {
+            return;
+        }
+        const channel = CHAT_CHANNELS[message.channel] ? message.channel : 'proximity';
+        const line = document.createElement('div');
+        line.className = 'chat-line';
+        line.dataset.channel = channel;
+
+        const tag = document.createElement('span');
+        tag.className = 'chat-tag';
+        tag.textContent = `[${CHAT_CHANNELS[channel].tag}]`;
+        line.appendChild(tag);
+
+        if (message.playerId) {
+            const name = document.createElement('span');
+            name.className = 'chat-name';
+            name.textContent = `${message.displayName ?? message.playerId}:`;
+            name.style.color = message.playerId === this.world.localPlayerId
+                ? '#4bffa5'
+                : toCssColor(getPlayerColor(message.playerId));
+            line.appendChild(name);
+        }
+
+        const body = document.createElement('span');
+        body.className = 'chat-text';
+        body.textContent = message.text;
+        line.appendChild(body);
+
+        const pinnedToBottom = this.log.scrollHeight - this.log.scrollTop - this.log.clientHeight < 8;
+        this.log.appendChild(line);
+        while (this.log.childElementCount > MAX_SCROLLBACK) {
+            this.log.firstElementChild.remove();
+        }
+        // Don't yank the view down while the player is reading older messages.
+        if (pinnedToBottom) {
+            this.log.scrollTop = this.log.scrollHeight;
+        }
+
+        if (message.playerId && channel !== 'system') {
+            this.world.showChatBubble(message.playerId, message.text);
+        }
+    }
+}
+
+function isTypingElsewhere(target) {
+    return target instanceof HTMLElement
+        && (target.isContentEditable || target.tagName === 'INPUT' || target.tagName === 'TEXTAREA');
+}
@@ -0,0 +1,114 @@
+// chunkStreamer.js - keeps nearby chunks requested as the player moves
+
+const DEFAULT_OPTIONS = {
+    radius: 2,
+    prefetch: 1,
+    retention: 4,
+    hysteresis: 0.25,
+    minRequestIntervalMs: 500
+};
+
+const MAX_SERVER_RADIUS = 4;
+
+export class ChunkStreamer {
+    constructor(world, network = null, options = {}) {
+        this.world = world;
+        this.network = network;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.currentChunk = null;
+        this.lastRequestTime = -Infinity;
+        this.requestQueued = false;
+        this.lastResponseCenter = null;
+    }
+
+    configure(options = {}) {
+        this.options = { ...this.options, ...options };
+        this.requestQueued = true;
+    }
+
+    getRequestRadius() {
+        const { radius, prefetch } = this.options;
+        return Math.max(1, Math.min(MAX_SERVER_RADIUS, Math.round(radius + prefetch)));
+    }
+
+    reset() {
+        this.currentChunk = null;
+        this.lastRequestTime = -Infinity;
+        this.requestQueued = true;
+    }
+
+    update(position) {
+        const chunkSize = this.world.chunkSize;
+        const now = performance.now();
+
+        if (chunkSize && position) {
+            const next = this.resolveChunk(position, chunkSize);
+            if (!this.currentChunk || next.x !== this.currentChunk.x || next.z !== this.currentChunk.z) {
+                this.currentChunk = next;
+                this.requestQueued = true;
+                this.evictDistantChunks();
+            }
+        }
+
+        if (this.requestQueued && now - this.lastRequestTime >= this.options.minRequestIntervalMs) {
+            this.sendRequest(now);
+        }
+    }
+
+    resolveChunk(position, chunkSize) {
+        const candidate = { x: Math.floor(position.x / chunkSize), z: Math.floor(position.z / chunkSize) };
+        const current = this.currentChunk;
+        if (!current) {
+            return candidate;
+        }
+
+        // Only leave the current chunk once the player is a margin past its border,
+        // so walking along a seam doesn't flip back and forth.
+        const margin = chunkSize * this.options.hysteresis;
+        const minX = current.x * chunkSize - margin;
+        const maxX = (current.x + 1) * chunkSize + margin;
+        const minZ = current.z * chunkSize - margin;
+        const maxZ = (current.z + 1) * chunkSize + margin;
+        if (position.x >= minX && position.x < maxX && position.z >= minZ && position.z < maxZ) {
+            return current;
+        }
+        return candidate;
+    }
+
+    sendRequest(now) {
+        if (!this.network || typeof this.network.isOpen !== 'function' || !this.network.isOpen()) {
+            return;
+        }
+        this.network.requestNearbyChunks(this.getRequestRadius());
+        this.lastRequestTime = now;
+        this.requestQueued = false;
+    }
+
+    handleChunksReceived(centerChunkX, centerChunkZ) {
+        if (typeof centerChunkX === 'number' && typeof centerChunkZ === 'number') {
+            this.lastResponseCenter = { x: centerChunkX, z: centerChunkZ };
+        }
+        this.evictDistantChunks();
+    }
+
+    evictDistantChunks() {
+        const center = this.currentChunk ?? this.lastResponseCenter;
+        if (!center) {
+            return;
+        }
+        const retention = Math.max(this.options.retention, this.getRequestRadius());
+        this.world.getLoadedChunkCoords().forEach(({ key, x, z }) => {
+            if (Math.max(Math.abs(x - center.x), Math.abs(z - center.z)) > retention) {
+                this.world.unloadChunk(key);
+            }
+        });
+    }
+
+    getDebugInfo() {
+        return {
+            chunk: this.currentChunk ? { ...this.currentChunk } : null,
+            loadedChunks: this.world.getLoadedChunkCoords().length,
+            requestRadius: this.getRequestRadius()
+        };
+    }
+}
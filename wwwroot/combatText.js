@@ -0,0 +1,142 @@
+// combatText.js - pooled floating numbers for damage, healing, XP and level-ups in world space
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.161.0/build/three.module.js';
+
+const CANVAS_WIDTH = 256;
+const CANVAS_HEIGHT = 64;
+const WORLD_WIDTH = 3.2;
+const POOL_SIZE = 32;
+const BASE_HEIGHT = 3.1;
+const STACK_SPACING = 0.75;
+const RISE_DISTANCE = 1.6;
+
+export const COMBAT_TEXT_STYLES = {
+    damageDealt: { color: '#ffd166', size: 34, durationMs: 1000 },
+    damageTaken: { color: '#ff5d5d', size: 34, durationMs: 1100 },
+    healing: { color: '#4bffa5', size: 32, durationMs: 1200 },
+    xp: { color: '#8ee3ff', size: 28, durationMs: 1400 },
+    levelUp: { color: '#c89bff', size: 40, durationMs: 2000 }
+};
+
+function createEntry() {
+    const canvas = document.createElement('canvas');
+    canvas.width = CANVAS_WIDTH;
+    canvas.height = CANVAS_HEIGHT;
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+
+    const material = new THREE.SpriteMaterial({ map: texture, transparent: true, depthWrite: false, depthTest: false });
+    const sprite = new THREE.Sprite(material);
+    sprite.scale.set(WORLD_WIDTH, WORLD_WIDTH * (CANVAS_HEIGHT / CANVAS_WIDTH), 1);
+    sprite.renderOrder = 20;
+    sprite.visible = false;
+
+    return {
+        sprite,
+        context: canvas.getContext('2d'),
+        texture,
+        active: false,
+        anchorKey: null,
+        slot: 0,
+        origin: new THREE.Vector3(),
+        startTime: 0,
+        durationMs: 0
+    };
+}
+
+export class CombatTextPool {
+    constructor(scene, size = POOL_SIZE) {
+        this.entries = Array.from({ length: size }, () => {
+            const entry = createEntry();
+            scene.add(entry.sprite);
+            return entry;
+        });
+    }
+
+    /**
+     * Floats text up from position. Entries sharing an anchorKey stack into the
+     * lowest free row so rapid hits on one target don't overlap.
+     */
+    spawn(kind, text, position, anchorKey = null) {
+        if (!position) {
+            return;
+        }
+        const style = COMBAT_TEXT_STYLES[kind] ?? COMBAT_TEXT_STYLES.damageDealt;
+        const entry = this.acquire();
+        entry.active = false;
+        const now = performance.now();
+
+        const usedSlots = new Set();
+        if (anchorKey) {
+            this.entries.forEach(other => {
+                if (other.active && other.anchorKey === anchorKey) {
+                    usedSlots.add(other.slot);
+                }
+            });
+        }
+        let slot = 0;
+        while (usedSlots.has(slot)) {
+            slot += 1;
+        }
+
+        entry.active = true;
+        entry.anchorKey = anchorKey;
+        entry.slot = slot;
+        entry.startTime = now;
+        entry.durationMs = style.durationMs;
+        entry.origin.set(position.x, position.y + BASE_HEIGHT + slot * STACK_SPACING, position.z);
+        entry.sprite.position.copy(entry.origin);
+        entry.sprite.material.opacity = 1;
+        entry.sprite.visible = true;
+        this.draw(entry, text, style);
+    }
+
+    /**
+     * Reuses a free entry, or recycles the oldest one when every entry is in flight.
+     */
+    acquire() {
+        let oldest = this.entries[0];
+        for (const entry of this.entries) {
+            if (!entry.active) {
+                return entry;
+            }
+            if (entry.startTime < oldest.startTime) {
+                oldest = entry;
+            }
+        }
+        return oldest;
+    }
+
+    draw(entry, text, style) {
+        const ctx = entry.context;
+        ctx.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+        ctx.font = `700 ${style.size}px "Segoe UI", sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.lineWidth = 6;
+        ctx.strokeStyle = 'rgba(8, 10, 16, 0.9)';
+        ctx.fillStyle = style.color;
+        ctx.strokeText(text, CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2, CANVAS_WIDTH - 12);
+        ctx.fillText(text, CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2, CANVAS_WIDTH - 12);
+        entry.texture.needsUpdate = true;
+    }
+
+    update(now = performance.now()) {
+        for (const entry of this.entries) {
+            if (!entry.active) {
+                continue;
+            }
+            const t = (now - entry.startTime) / entry.durationMs;
+            if (t >= 1) {
+                entry.active = false;
+                entry.anchorKey = null;
+                entry.sprite.visible = false;
+                continue;
+            }
+            // Ease out so numbers pop up quickly then linger, fading over the last half.
+            const rise = 1 - (1 - t) * (1 - t);
+            entry.sprite.position.set(entry.origin.x, entry.origin.y + rise * RISE_DISTANCE, entry.origin.z);
+            entry.sprite.material.opacity = t < 0.5 ? 1 : 1 - (t - 0.5) / 0.5;
+        }
+    }
+}
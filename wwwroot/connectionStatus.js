@@ -0,0 +1,137 @@
+// connectionStatus.js - HUD connection widget plus the latency graph in the debug panel
+
+import { CONNECTION_STATES, RTT_HISTORY_LENGTH } from './network.js';
+
+const REFRESH_MS = 200;
+// Round trips above these read as amber, then red.
+const RTT_WARN_MS = 120;
+const RTT_BAD_MS = 250;
+const GRAPH_MIN_SCALE_MS = 100;
+
+const STATE_LABELS = {
+    [CONNECTION_STATES.idle]: 'Offline',
+    [CONNECTION_STATES.connecting]: 'Connecting…',
+    [CONNECTION_STATES.online]: 'Online'
+};
+
+function classifyRtt(rtt) {
+    if (typeof rtt !== 'number') {
+        return 'unknown';
+    }
+    return rtt >= RTT_BAD_MS ? 'bad' : rtt >= RTT_WARN_MS ? 'warn' : 'good';
+}
+
+export class ConnectionStatusWidget {
+    constructor(network) {
+        this.network = network;
+        this.lastRefresh = 0;
+
+        this.root = document.getElementById('connectionStatus');
+        this.label = document.getElementById('connectionLabel');
+        this.rtt = document.getElementById('connectionRtt');
+        this.reconnectButton = document.getElementById('connectionReconnect');
+        this.debug = {
+            panel: document.getElementById('debugPanel'),
+            rtt: document.getElementById('debugRtt'),
+            packetsIn: document.getElementById('debugPacketsIn'),
+            packetsOut: document.getElementById('debugPacketsOut'),
+            graph: document.getElementById('debugLatencyGraph')
+        };
+
+        this.reconnectButton?.addEventListener('click', () => {
+            this.network.connect();
+            this.lastRefresh = 0;
+        });
+    }
+
+    update(now = performance.now()) {
+        if (now - this.lastRefresh < REFRESH_MS) {
+            return;
+        }
+        this.lastRefresh = now;
+        const status = this.network.getConnectionStatus(now);
+
+        if (this.root) {
+            this.root.dataset.state = status.state;
+            this.root.dataset.quality = status.state === CONNECTION_STATES.online ? classifyRtt(status.rtt) : 'unknown';
+        }
+        if (this.label) {
+            this.label.textContent = status.state === CONNECTION_STATES.reconnecting
+                ? `Reconnecting in ${Math.ceil(status.reconnectIn ?? 0)} s`
+                : STATE_LABELS[status.state] ?? status.state;
+        }
+        if (this.rtt) {
+            this.rtt.textContent = typeof status.rtt === 'number' ? `${Math.round(status.rtt)} ms` : '— ms';
+        }
+
+        if (this.debug.panel?.dataset.active === 'true') {
+            this.updateDebug(status);
+        }
+    }
+
+    updateDebug(status) {
+        if (this.debug.rtt) {
+            this.debug.rtt.textContent = typeof status.rtt === 'number' ? `${status.rtt.toFixed(1)} ms` : '—';
+        }
+        if (this.debug.packetsIn) {
+            this.debug.packetsIn.textContent = `${status.receivedPerSecond.toFixed(1)} /s`;
+        }
+        if (this.debug.packetsOut) {
+            this.debug.packetsOut.textContent = `${status.sentPerSecond.toFixed(1)} /s`;
+        }
+        this.drawGraph(status.rttHistory);
+    }
+
+    drawGraph(samples) {
+        const canvas = this.debug.graph;
+        const ctx = canvas?.getContext('2d');
+        if (!ctx) {
+            return;
+        }
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(canvas.clientWidth * ratio);
+        const height = Math.round(canvas.clientHeight * ratio);
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+        ctx.clearRect(0, 0, width, height);
+        if (!samples.length || !width || !height) {
+            return;
+        }
+
+        // Scale to the worst recent sample so spikes stay on the chart.
+        const scale = Math.max(GRAPH_MIN_SCALE_MS, ...samples) * 1.1;
+        const step = width / Math.max(1, RTT_HISTORY_LENGTH - 1);
+        const offset = RTT_HISTORY_LENGTH - samples.length;
+
+        ctx.strokeStyle = 'rgba(255, 209, 102, 0.35)';
+        ctx.lineWidth = ratio;
+        ctx.setLineDash([3 * ratio, 3 * ratio]);
+        const warnY = height - (RTT_WARN_MS / scale) * height;
+        ctx.beginPath();
+        ctx.moveTo(0, warnY);
+        ctx.lineTo(width, warnY);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.strokeStyle = '#94ffd6';
+        ctx.lineWidth = 1.5 * ratio;
+        ctx.beginPath();
+        samples.forEach((sample, index) => {
+            const x = (offset + index) * step;
+            const y = height - (sample / scale) * height;
+            if (index === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.stroke();
+
+        ctx.fillStyle = 'rgba(232, 244, 255, 0.6)';
+        ctx.font = `${9 * ratio}px sans-serif`;
+        ctx.textBaseline = 'top';
+        ctx.fillText(`${Math.round(scale)} ms`, 2 * ratio, 2 * ratio);
+    }
+}
@@ -0,0 +1,329 @@
+// controls.js - named input actions, rebindable key bindings and the settings panel
+
+import { loadStored, saveStored } from './storage.js';
+
+const STORAGE_KEY = 'singularity.controls.v1';
+const MAX_BINDINGS_PER_ACTION = 2;
+
+export const INPUT_ACTIONS = [
+    { id: 'moveForward', label: 'Move forward', axis: 'forward', value: 1 },
+    { id: 'moveBackward', label: 'Move backward', axis: 'forward', value: -1 },
+    { id: 'strafeLeft', label: 'Strafe left', axis: 'strafe', value: -1 },
+    { id: 'strafeRight', label: 'Strafe right', axis: 'strafe', value: 1 },
+    { id: 'turnLeft', label: 'Turn left', axis: 'turn', value: -1 },
+    { id: 'turnRight', label: 'Turn right', axis: 'turn', value: 1 },
+    { id: 'jump', label: 'Jump' },
+    { id: 'interact', label: 'Interact' },
+    { id: 'cycleTarget', label: 'Cycle target' },
+    { id: 'clearTarget', label: 'Clear target' },
+    { id: 'toggleMap', label: 'World map' },
+    { id: 'toggleRoster', label: 'Player list' },
+    { id: 'toggleDebug', label: 'Debug overlay' }
+];
+
+const DEFAULT_BINDINGS = {
+    moveForward: ['KeyW', 'ArrowUp'],
+    moveBackward: ['KeyS', 'ArrowDown'],
+    strafeLeft: ['KeyA'],
+    strafeRight: ['KeyD'],
+    turnLeft: ['ArrowLeft'],
+    turnRight: ['ArrowRight'],
+    jump: ['Space'],
+    interact: ['KeyE'],
+    cycleTarget: ['Tab'],
+    clearTarget: ['KeyX'],
+    toggleMap: ['KeyM'],
+    toggleRoster: ['KeyP'],
+    toggleDebug: ['F3']
+};
+
+// Keys the settings panel uses itself while capturing.
+const RESERVED_CODES = new Set(['Escape', 'Backspace', 'Delete']);
+
+const ACTIONS_BY_ID = new Map(INPUT_ACTIONS.map(action => [action.id, action]));
+
+export function getInputAction(actionId) {
+    return ACTIONS_BY_ID.get(actionId) ?? null;
+}
+
+export function formatKeyCode(code) {
+    if (!code) {
+        return '—';
+    }
+    if (code.startsWith('Key')) {
+        return code.slice(3);
+    }
+    if (code.startsWith('Digit')) {
+        return code.slice(5);
+    }
+    if (code.startsWith('Numpad')) {
+        return `Num ${code.slice(6)}`;
+    }
+    const named = {
+        ArrowUp: '↑',
+        ArrowDown: '↓',
+        ArrowLeft: '←',
+        ArrowRight: '→',
+        Space: 'Space',
+        ShiftLeft: 'L Shift',
+        ShiftRight: 'R Shift',
+        ControlLeft: 'L Ctrl',
+        ControlRight: 'R Ctrl',
+        AltLeft: 'L Alt',
+        AltRight: 'R Alt'
+    };
+    return named[code] ?? code;
+}
+
+function cloneBindings(source) {
+    const copy = {};
+    INPUT_ACTIONS.forEach(action => {
+        copy[action.id] = [...(source[action.id] ?? [])];
+    });
+    return copy;
+}
+
+export class ControlBindings {
+    constructor(storage = null) {
+        this.storage = storage;
+        this.bindings = cloneBindings(DEFAULT_BINDINGS);
+        this.listeners = new Set();
+        this.load();
+    }
+
+    load() {
+        const saved = loadStored(STORAGE_KEY, { storage: this.storage });
+        if (!saved || typeof saved !== 'object') {
+            return;
+        }
+        INPUT_ACTIONS.forEach(action => {
+            const codes = saved[action.id];
+            if (Array.isArray(codes)) {
+                this.bindings[action.id] = codes
+                    .filter(code => typeof code === 'string' && code.length > 0 && !RESERVED_CODES.has(code))
+                    .slice(0, MAX_BINDINGS_PER_ACTION);
+            }
+        });
+    }
+
+    save() {
+        saveStored(STORAGE_KEY, this.bindings, { storage: this.storage });
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    getBindings(actionId) {
+        return [...(this.bindings[actionId] ?? [])];
+    }
+
+    getActionsForCode(code) {
+        return INPUT_ACTIONS.filter(action => this.bindings[action.id]?.includes(code));
+    }
+
+    matches(actionId, code) {
+        return Boolean(code) && (this.bindings[actionId]?.includes(code) ?? false);
+    }
+
+    setBinding(actionId, slot, code) {
+        if (!ACTIONS_BY_ID.has(actionId) || slot < 0 || slot >= MAX_BINDINGS_PER_ACTION) {
+            return false;
+        }
+        if (code && RESERVED_CODES.has(code)) {
+            return false;
+        }
+        const codes = this.getBindings(actionId);
+        if (code) {
+            codes[slot] = code;
+        } else {
+            codes.splice(slot, 1);
+        }
+        // Drop holes and duplicates within the same action.
+        this.bindings[actionId] = codes.filter((value, index) => value && codes.indexOf(value) === index);
+        this.save();
+        this.notify();
+        return true;
+    }
+
+    resetToDefaults() {
+        this.bindings = cloneBindings(DEFAULT_BINDINGS);
+        this.save();
+        this.notify();
+    }
+
+    /**
+     * Returns a map of key code -> action ids for every key bound to more than one action.
+     */
+    getConflicts() {
+        const owners = new Map();
+        INPUT_ACTIONS.forEach(action => {
+            (this.bindings[action.id] ?? []).forEach(code => {
+                if (!owners.has(code)) {
+                    owners.set(code, []);
+                }
+                owners.get(code).push(action.id);
+            });
+        });
+        for (const [code, actionIds] of owners) {
+            if (actionIds.length < 2) {
+                owners.delete(code);
+            }
+        }
+        return owners;
+    }
+
+    describe(actionId) {
+        const codes = this.bindings[actionId] ?? [];
+        return codes.length > 0 ? codes.map(formatKeyCode).join(' / ') : 'Unbound';
+    }
+}
+
+export class ControlsPanel {
+    constructor(controls, player = null) {
+        this.controls = controls;
+        this.player = player;
+        this.capture = null;
+        this.overlay = document.getElementById('bindingsOverlay');
+        this.list = document.getElementById('bindingsList');
+        this.status = document.getElementById('bindingsStatus');
+
+        document.getElementById('settingsButton')?.addEventListener('click', () => this.open());
+        document.getElementById('bindingsReset')?.addEventListener('click', () => {
+            this.cancelCapture();
+            this.controls.resetToDefaults();
+        });
+        document.getElementById('bindingsDone')?.addEventListener('click', () => this.close());
+
+        // Capture phase on window runs ahead of every other key handler, so a key
+        // pressed while rebinding never also triggers its current action.
+        window.addEventListener('keydown', (evt) => this.handleKeyDown(evt), true);
+        this.controls.onChange(() => this.render());
+    }
+
+    isOpen() {
+        return this.overlay?.dataset.visible === 'true';
+    }
+
+    open() {
+        if (!this.overlay) {
+            return;
+        }
+        this.overlay.dataset.visible = 'true';
+        this.player?.setMenuState?.('controls', true);
+        this.render();
+    }
+
+    close() {
+        if (!this.overlay) {
+            return;
+        }
+        this.cancelCapture();
+        this.overlay.dataset.visible = 'false';
+        this.player?.setMenuState?.('controls', false);
+    }
+
+    beginCapture(actionId, slot) {
+        this.capture = { actionId, slot };
+        this.render();
+    }
+
+    cancelCapture() {
+        if (this.capture) {
+            this.capture = null;
+            this.render();
+        }
+    }
+
+    handleKeyDown(evt) {
+        if (!this.isOpen()) {
+            return;
+        }
+        evt.preventDefault();
+        evt.stopImmediatePropagation();
+
+        if (!this.capture) {
+            if (evt.code === 'Escape') {
+                this.close();
+            }
+            return;
+        }
+
+        const { actionId, slot } = this.capture;
+        this.capture = null;
+        if (evt.code === 'Escape') {
+            this.render();
+        } else if (evt.code === 'Backspace' || evt.code === 'Delete') {
+            this.controls.setBinding(actionId, slot, null);
+        } else {
+            this.controls.setBinding(actionId, slot, evt.code);
+        }
+    }
+
+    render() {
+        if (!this.list) {
+            return;
+        }
+        const conflicts = this.controls.getConflicts();
+        this.list.innerHTML = '';
+
+        INPUT_ACTIONS.forEach(action => {
+            const row = document.createElement('div');
+            row.className = 'binding-row';
+            const codes = this.controls.getBindings(action.id);
+            row.dataset.conflict = codes.some(code => conflicts.has(code)) ? 'true' : 'false';
+
+            const label = document.createElement('span');
+            label.className = 'binding-label';
+            label.textContent = action.label;
+            row.appendChild(label);
+
+            for (let slot = 0; slot < MAX_BINDINGS_PER_ACTION; slot++) {
+                const code = codes[slot] ?? null;
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'binding-key';
+                const capturing = this.capture?.actionId === action.id && this.capture.slot === slot;
+                button.dataset.capturing = capturing ? 'true' : 'false';
+                button.dataset.conflict = code && conflicts.has(code) ? 'true' : 'false';
+                button.textContent = capturing ? 'Press a key…' : (code ? formatKeyCode(code) : '—');
+                // A second slot only makes sense once the first is filled.
+                button.disabled = slot > codes.length;
+                button.addEventListener('click', () => this.beginCapture(action.id, Math.min(slot, codes.length)));
+                row.appendChild(button);
+            }
+
+            this.list.appendChild(row);
+        });
+
+        this.renderStatus(conflicts);
+    }
+
+    renderStatus(conflicts) {
+        if (!this.status) {
+            return;
+        }
+        if (this.capture) {
+            const action = getInputAction(this.capture.actionId);
+            this.status.dataset.state = 'capture';
+            this.status.textContent = `Press a key for ${action?.label ?? 'action'} · Esc to cancel · Backspace to clear`;
+            return;
+        }
+        if (conflicts.size > 0) {
+            const messages = Array.from(conflicts, ([code, actionIds]) => {
+                const labels = actionIds.map(id => getInputAction(id)?.label ?? id).join(' and ');
+                return `${formatKeyCode(code)} is bound to ${labels}`;
+            });
+            this.status.dataset.state = 'conflict';
+            this.status.textContent = messages.join(' · ');
+            return;
+        }
+        this.status.dataset.state = 'idle';
+        this.status.textContent = 'Click a key to rebind it';
+    }
+}
@@ -0,0 +1,159 @@
+// environment.js - mesh builders for environment objects streamed with chunks
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.161.0/build/three.module.js';
+
+const DEPLETED_OPACITY = 0.35;
+
+function buildTree() {
+    const group = new THREE.Group();
+
+    const trunk = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.35, 0.5, 3.2, 10),
+        new THREE.MeshStandardMaterial({ color: 0x5a3b24, roughness: 0.9, metalness: 0.05 })
+    );
+    trunk.position.y = 1.6;
+    group.add(trunk);
+
+    const canopy = new THREE.Group();
+    const leafMaterial = new THREE.MeshStandardMaterial({ color: 0x2f7a4a, flatShading: true, roughness: 0.75, metalness: 0.05 });
+    const lower = new THREE.Mesh(new THREE.ConeGeometry(2.2, 3.2, 9), leafMaterial);
+    lower.position.y = 4.2;
+    canopy.add(lower);
+    const upper = new THREE.Mesh(new THREE.ConeGeometry(1.6, 2.6, 9), leafMaterial);
+    upper.position.y = 5.8;
+    canopy.add(upper);
+    group.add(canopy);
+
+    const stump = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.45, 0.55, 0.6, 10),
+        new THREE.MeshStandardMaterial({ color: 0x4a3020, roughness: 0.95, metalness: 0.02 })
+    );
+    stump.position.y = 0.3;
+    stump.visible = false;
+    group.add(stump);
+
+    return { group, parts: { trunk, canopy, stump } };
+}
+
+function buildSentinel() {
+    const group = new THREE.Group();
+
+    const base = new THREE.Mesh(
+        new THREE.CylinderGeometry(1.1, 1.3, 0.5, 8),
+        new THREE.MeshStandardMaterial({ color: 0x262b3d, roughness: 0.8, metalness: 0.2 })
+    );
+    base.position.y = 0.25;
+    group.add(base);
+
+    const crystal = new THREE.Mesh(
+        new THREE.OctahedronGeometry(1.0, 0),
+        new THREE.MeshStandardMaterial({
+            color: 0x7fd8ff,
+            emissive: new THREE.Color(0x2a7fb0),
+            flatShading: true,
+            roughness: 0.3,
+            metalness: 0.4,
+            transparent: true,
+            opacity: 0.95
+        })
+    );
+    crystal.scale.set(0.8, 1.8, 0.8);
+    crystal.position.y = 2.4;
+    group.add(crystal);
+
+    return { group, parts: { base, crystal } };
+}
+
+function buildRock() {
+    const group = new THREE.Group();
+    const rock = new THREE.Mesh(
+        new THREE.DodecahedronGeometry(1.2, 0),
+        new THREE.MeshStandardMaterial({ color: 0x6d717d, flatShading: true, roughness: 0.95, metalness: 0.05 })
+    );
+    rock.scale.set(1.2, 0.8, 1.0);
+    rock.position.y = 0.7;
+    group.add(rock);
+    return { group, parts: { rock } };
+}
+
+function buildFallback() {
+    const group = new THREE.Group();
+    const crate = new THREE.Mesh(
+        new THREE.BoxGeometry(1.2, 1.2, 1.2),
+        new THREE.MeshStandardMaterial({ color: 0x9c8b6a, roughness: 0.8, metalness: 0.1 })
+    );
+    crate.position.y = 0.6;
+    group.add(crate);
+    return { group, parts: { crate } };
+}
+
+const ENVIRONMENT_BUILDERS = {
+    tree: buildTree,
+    sentinel: buildSentinel,
+    rock: buildRock
+};
+
+export function createEnvironmentMesh(type) {
+    const key = typeof type === 'string' ? type.toLowerCase() : '';
+    const builder = ENVIRONMENT_BUILDERS[key] ?? buildFallback;
+    const { group, parts } = builder();
+
+    group.traverse(node => {
+        if (node.isMesh) {
+            node.castShadow = true;
+            node.receiveShadow = true;
+        }
+    });
+
+    group.userData.environment = { type: key, parts };
+    return group;
+}
+
+export function applyEnvironmentState(mesh, state = {}) {
+    const data = mesh?.userData?.environment;
+    if (!data) {
+        return;
+    }
+
+    const isActive = state.isActive !== false;
+    const healthFraction = typeof state.healthFraction === 'number' ? THREE.MathUtils.clamp(state.healthFraction, 0, 1) : 1;
+    const { parts } = data;
+
+    switch (data.type) {
+        case 'tree':
+            parts.trunk.visible = isActive;
+            parts.canopy.visible = isActive;
+            parts.stump.visible = !isActive;
+            break;
+
+        case 'sentinel': {
+            parts.crystal.visible = isActive;
+            const material = parts.crystal.material;
+            material.emissiveIntensity = 0.4 + healthFraction * 0.8;
+            material.opacity = 0.55 + healthFraction * 0.4;
+            break;
+        }
+
+        default:
+            mesh.traverse(node => {
+                if (node.isMesh && node.material) {
+                    node.material.transparent = !isActive;
+                    node.material.opacity = isActive ? 1 : DEPLETED_OPACITY;
+                }
+            });
+            break;
+    }
+}
+
+export function disposeEnvironmentMesh(mesh) {
+    mesh?.traverse(obj => {
+        if (obj.geometry) obj.geometry.dispose?.();
+        if (obj.material) {
+            if (Array.isArray(obj.material)) {
+                obj.material.forEach(mat => mat.dispose?.());
+            } else {
+                obj.material.dispose?.();
+            }
+        }
+    });
+}
@@ -0,0 +1,226 @@
+// eventLog.js - structured, categorised session log with a capped ring buffer, filter toggles and JSON export
+
+import { loadStored, saveStored } from './storage.js';
+
+const STORAGE_KEY = 'singularity.logFilters.v1';
+const DEFAULT_CAPACITY = 500;
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+export const LOG_CATEGORIES = ['network', 'combat', 'progression', 'system'];
+
+const CATEGORY_LABELS = {
+    network: 'Net',
+    combat: 'Combat',
+    progression: 'Progress',
+    system: 'System'
+};
+
+export class EventLog {
+    constructor(capacity = DEFAULT_CAPACITY) {
+        this.capacity = capacity;
+        this.buffer = new Array(capacity);
+        this.start = 0;
+        this.size = 0;
+        this.nextId = 1;
+        this.startedAt = Date.now();
+        this.listeners = new Set();
+    }
+
+    /**
+     * Records an entry, overwriting the oldest once the buffer is full.
+     * Unknown levels and categories fall back to info/system rather than throwing.
+     */
+    add(level, category, message, data = undefined) {
+        const entry = {
+            id: this.nextId++,
+            time: Date.now(),
+            level: LOG_LEVELS.includes(level) ? level : 'info',
+            category: LOG_CATEGORIES.includes(category) ? category : 'system',
+            message: String(message ?? '')
+        };
+        if (data !== undefined) {
+            entry.data = data;
+        }
+
+        const index = (this.start + this.size) % this.capacity;
+        this.buffer[index] = entry;
+        if (this.size < this.capacity) {
+            this.size += 1;
+        } else {
+            this.start = (this.start + 1) % this.capacity;
+        }
+
+        this.listeners.forEach(listener => listener(entry));
+        return entry;
+    }
+
+    entries() {
+        const list = [];
+        for (let i = 0; i < this.size; i++) {
+            list.push(this.buffer[(this.start + i) % this.capacity]);
+        }
+        return list;
+    }
+
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    toJSON() {
+        return {
+            startedAt: new Date(this.startedAt).toISOString(),
+            exportedAt: new Date().toISOString(),
+            userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+            capacity: this.capacity,
+            entries: this.entries().map(entry => ({ ...entry, time: new Date(entry.time).toISOString() }))
+        };
+    }
+}
+
+export const eventLog = new EventLog();
+
+/**
+ * Shorthand used across the client: logger.info('network', 'Connected.').
+ */
+export const logger = {
+    debug: (category, message, data) => eventLog.add('debug', category, message, data),
+    info: (category, message, data) => eventLog.add('info', category, message, data),
+    warn: (category, message, data) => eventLog.add('warn', category, message, data),
+    error: (category, message, data) => eventLog.add('error', category, message, data)
+};
+
+function formatTime(timestamp) {
+    const date = new Date(timestamp);
+    return [date.getHours(), date.getMinutes(), date.getSeconds()]
+        .map(part => String(part).padStart(2, '0'))
+        .join(':');
+}
+
+export class EventLogPanel {
+    constructor(log = eventLog, storage = null) {
+        this.log = log;
+        this.storage = storage;
+        this.root = document.getElementById('log');
+        this.list = document.getElementById('logEntries');
+        this.filters = document.getElementById('logFilters');
+        this.hidden = new Set();
+        this.showDebug = false;
+        this.loadFilters();
+        this.renderFilters();
+        this.applyFilters();
+
+        document.getElementById('logExport')?.addEventListener('click', () => this.exportJson());
+
+        // Catch up on anything logged before the panel existed.
+        this.log.entries().forEach(entry => this.append(entry));
+        this.log.subscribe(entry => this.append(entry));
+    }
+
+    loadFilters() {
+        const saved = loadStored(STORAGE_KEY, { storage: this.storage });
+        if (!saved || typeof saved !== 'object') {
+            return;
+        }
+        if (Array.isArray(saved.hidden)) {
+            saved.hidden.filter(category => LOG_CATEGORIES.includes(category)).forEach(category => this.hidden.add(category));
+        }
+        this.showDebug = saved.showDebug === true;
+    }
+
+    saveFilters() {
+        saveStored(STORAGE_KEY, { hidden: [...this.hidden], showDebug: this.showDebug }, { storage: this.storage });
+    }
+
+    renderFilters() {
+        if (!this.filters) {
+            return;
+        }
+        this.filters.innerHTML = '';
+        LOG_CATEGORIES.forEach(category => {
+            this.filters.appendChild(this.createToggle(CATEGORY_LABELS[category], !this.hidden.has(category), () => {
+                if (this.hidden.has(category)) {
+                    this.hidden.delete(category);
+                } else {
+                    this.hidden.add(category);
+                }
+            }));
+        });
+        this.filters.appendChild(this.createToggle('Debug', this.showDebug, () => {
+            this.showDebug = !this.showDebug;
+        }));
+    }
+
+    createToggle(label, active, onToggle) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'log-filter';
+        button.textContent = label;
+        button.dataset.active = active ? 'true' : 'false';
+        button.addEventListener('click', () => {
+            onToggle();
+            button.dataset.active = button.dataset.active === 'true' ? 'false' : 'true';
+            this.applyFilters();
+            this.saveFilters();
+        });
+        return button;
+    }
+
+    /**
+     * Filtering is pure CSS off data attributes, so toggling never re-renders lines.
+     */
+    applyFilters() {
+        if (!this.root) {
+            return;
+        }
+        LOG_CATEGORIES.forEach(category => {
+            this.root.dataset[`hide${category[0].toUpperCase()}${category.slice(1)}`] = this.hidden.has(category) ? 'true' : 'false';
+        });
+        this.root.dataset.showDebug = this.showDebug ? 'true' : 'false';
+        this.scrollToBottom();
+    }
+
+    append(entry) {
+        if (!this.list) {
+            return;
+        }
+        const line = document.createElement('div');
+        line.className = 'log-line';
+        line.dataset.level = entry.level;
+        line.dataset.category = entry.category;
+
+        const time = document.createElement('span');
+        time.className = 'log-time';
+        time.textContent = formatTime(entry.time);
+        const text = document.createElement('span');
+        text.className = 'log-text';
+        text.textContent = entry.message;
+        line.append(time, text);
+
+        this.list.appendChild(line);
+        // The DOM mirrors the ring buffer, so the panel stays bounded too.
+        while (this.list.childElementCount > this.log.capacity) {
+            this.list.firstElementChild.remove();
+        }
+        this.scrollToBottom();
+    }
+
+    scrollToBottom() {
+        if (this.list) {
+            this.list.scrollTop = this.list.scrollHeight;
+        }
+    }
+
+    exportJson() {
+        const blob = new Blob([JSON.stringify(this.log.toJSON(), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `singularity-log-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Revoking synchronously can cancel the download in some browsers.
+        window.setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+}
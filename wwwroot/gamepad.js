@@ -0,0 +1,236 @@
+// gamepad.js - polls the Gamepad API for movement, camera, actions and overlay navigation
+import { logger } from './eventLog.js';
+import { loadStored, saveStored } from './storage.js';
+
+const STORAGE_KEY = 'singularity.gamepad.v1';
+
+const DEFAULT_SETTINGS = {
+    deadZone: 0.18,
+    lookSensitivity: 2.4 // radians per second at full deflection
+};
+
+// Standard mapping (https://w3c.github.io/gamepad/#remapping).
+const BUTTONS = {
+    south: 0,
+    west: 2,
+    leftBumper: 4,
+    rightBumper: 5,
+    dpadUp: 12,
+    dpadDown: 13,
+    dpadLeft: 14,
+    dpadRight: 15
+};
+
+const AXES = {
+    leftX: 0,
+    leftY: 1,
+    rightX: 2,
+    rightY: 3
+};
+
+// Overlays that take over the controller while visible, in priority order.
+const MENU_OVERLAY_IDS = ['weaponOverlay', 'upgradeOverlay'];
+const MENU_REPEAT_DELAY_MS = 320;
+const MENU_REPEAT_INTERVAL_MS = 140;
+const MENU_STICK_THRESHOLD = 0.6;
+
+function applyDeadZone(x, y, deadZone) {
+    const magnitude = Math.hypot(x, y);
+    if (magnitude <= deadZone || magnitude === 0) {
+        return { x: 0, y: 0 };
+    }
+    // Rescale so output ramps from 0 at the dead-zone edge to 1 at full deflection.
+    const scaled = Math.min(1, (magnitude - deadZone) / (1 - deadZone));
+    return { x: (x / magnitude) * scaled, y: (y / magnitude) * scaled };
+}
+
+export class GamepadController {
+    constructor(world, player, interaction = null, targeting = null) {
+        this.world = world;
+        this.player = player;
+        this.interaction = interaction;
+        this.targeting = targeting;
+        this.settings = { ...DEFAULT_SETTINGS };
+        // Saved values go through the same clamping as the sliders, so stale or corrupt entries fall back to defaults.
+        this.applySettings(this.loadSettings());
+        this.gamepadIndex = null;
+        this.previousButtons = [];
+        this.lastPollTime = performance.now();
+        this.menuFocusIndex = 0;
+        this.menuRepeat = { direction: 0, nextAt: 0 };
+
+        window.addEventListener('gamepadconnected', (evt) => {
+            if (this.gamepadIndex === null) {
+                this.gamepadIndex = evt.gamepad.index;
+            }
+            logger.info('system', `Controller connected: ${evt.gamepad.id}`);
+            this.renderSettings();
+        });
+        window.addEventListener('gamepaddisconnected', (evt) => {
+            if (evt.gamepad.index === this.gamepadIndex) {
+                this.gamepadIndex = null;
+                this.previousButtons = [];
+                this.player.setAnalogAxes('gamepad');
+            }
+            logger.info('system', 'Controller disconnected.');
+            this.renderSettings();
+        });
+
+        this.bindSettingsInputs();
+    }
+
+    loadSettings() {
+        const saved = loadStored(STORAGE_KEY);
+        return saved && typeof saved === 'object' ? saved : {};
+    }
+
+    applySettings(settings = {}) {
+        if (Number.isFinite(settings.deadZone)) {
+            this.settings.deadZone = Math.min(0.6, Math.max(0, settings.deadZone));
+        }
+        if (Number.isFinite(settings.lookSensitivity)) {
+            this.settings.lookSensitivity = Math.min(8, Math.max(0.2, settings.lookSensitivity));
+        }
+    }
+
+    setSettings(settings = {}) {
+        this.applySettings(settings);
+        saveStored(STORAGE_KEY, this.settings);
+        this.renderSettings();
+    }
+
+    bindSettingsInputs() {
+        this.settingsElements = {
+            deadZone: document.getElementById('gamepadDeadZone'),
+            deadZoneValue: document.getElementById('gamepadDeadZoneValue'),
+            sensitivity: document.getElementById('gamepadSensitivity'),
+            sensitivityValue: document.getElementById('gamepadSensitivityValue'),
+            status: document.getElementById('gamepadStatus')
+        };
+        this.settingsElements.deadZone?.addEventListener('input', (evt) => {
+            this.setSettings({ deadZone: Number(evt.target.value) });
+        });
+        this.settingsElements.sensitivity?.addEventListener('input', (evt) => {
+            this.setSettings({ lookSensitivity: Number(evt.target.value) });
+        });
+        this.renderSettings();
+    }
+
+    renderSettings() {
+        const elements = this.settingsElements;
+        if (!elements) {
+            return;
+        }
+        if (elements.deadZone) elements.deadZone.value = String(this.settings.deadZone);
+        if (elements.deadZoneValue) elements.deadZoneValue.textContent = `${Math.round(this.settings.deadZone * 100)}%`;
+        if (elements.sensitivity) elements.sensitivity.value = String(this.settings.lookSensitivity);
+        if (elements.sensitivityValue) elements.sensitivityValue.textContent = `${this.settings.lookSensitivity.toFixed(1)}x`;
+        if (elements.status) {
+            const pad = this.getGamepad();
+            elements.status.textContent = pad ? `Controller: ${pad.id}` : 'No controller detected · press any button';
+        }
+    }
+
+    getGamepad() {
+        const pads = typeof navigator.getGamepads === 'function' ? navigator.getGamepads() : [];
+        if (this.gamepadIndex !== null && pads[this.gamepadIndex]?.connected) {
+            return pads[this.gamepadIndex];
+        }
+        // Some browsers only expose pads after input and never fire gamepadconnected.
+        const found = Array.from(pads ?? []).find(pad => pad?.connected);
+        this.gamepadIndex = found ? found.index : null;
+        return found ?? null;
+    }
+
+    update() {
+        const now = performance.now();
+        const delta = Math.min((now - this.lastPollTime) / 1000, 0.05);
+        this.lastPollTime = now;
+
+        const pad = this.getGamepad();
+        if (!pad) {
+            return;
+        }
+
+        const pressed = pad.buttons.map(button => Boolean(button?.pressed));
+        const justPressed = (index) => pressed[index] && !this.previousButtons[index];
+        const justReleased = (index) => !pressed[index] && this.previousButtons[index];
+        const axis = (index) => pad.axes[index] ?? 0;
+
+        const menu = this.getActiveMenu();
+        if (menu) {
+            this.player.setAnalogAxes('gamepad');
+            this.updateMenu(menu, pressed, justPressed, axis(AXES.leftY), now);
+        } else {
+            this.menuFocusIndex = 0;
+            const { deadZone, lookSensitivity } = this.settings;
+            const move = applyDeadZone(axis(AXES.leftX), axis(AXES.leftY), deadZone);
+            this.player.setAnalogAxes('gamepad', { forward: -move.y, strafe: move.x });
+
+            const look = applyDeadZone(axis(AXES.rightX), axis(AXES.rightY), deadZone);
+            if ((look.x !== 0 || look.y !== 0) && delta > 0) {
+                this.world.rotateCamera(look.x * lookSensitivity * delta, look.y * lookSensitivity * delta);
+            }
+
+            if (justPressed(BUTTONS.south)) {
+                this.player.jumpRequested = true;
+            } else if (justReleased(BUTTONS.south)) {
+                this.player.jumpRequested = false;
+            }
+            if (justPressed(BUTTONS.west)) {
+                this.interaction?.interact(this.interaction.focused);
+            }
+            if (justPressed(BUTTONS.rightBumper)) {
+                this.targeting?.cycle(1);
+            } else if (justPressed(BUTTONS.leftBumper)) {
+                this.targeting?.clear();
+            }
+        }
+
+        this.previousButtons = pressed;
+    }
+
+    getActiveMenu() {
+        for (const id of MENU_OVERLAY_IDS) {
+            const overlay = document.getElementById(id);
+            if (overlay?.dataset.visible === 'true' && overlay.dataset.processing !== 'true') {
+                const options = Array.from(overlay.querySelectorAll('button:not(:disabled)'));
+                if (options.length > 0) {
+                    return { overlay, options };
+                }
+            }
+        }
+        return null;
+    }
+
+    updateMenu(menu, pressed, justPressed, stickY, now) {
+        let direction = 0;
+        if (pressed[BUTTONS.dpadUp] || pressed[BUTTONS.dpadLeft] || stickY < -MENU_STICK_THRESHOLD) {
+            direction = -1;
+        } else if (pressed[BUTTONS.dpadDown] || pressed[BUTTONS.dpadRight] || stickY > MENU_STICK_THRESHOLD) {
+            direction = 1;
+        }
+
+        // Move once on press, then repeat while held.
+        if (direction === 0) {
+            this.menuRepeat.direction = 0;
+        } else if (direction !== this.menuRepeat.direction) {
+            this.menuRepeat = { direction, nextAt: now + MENU_REPEAT_DELAY_MS };
+            this.menuFocusIndex += direction;
+        } else if (now >= this.menuRepeat.nextAt) {
+            this.menuRepeat.nextAt = now + MENU_REPEAT_INTERVAL_MS;
+            this.menuFocusIndex += direction;
+        }
+
+        const count = menu.options.length;
+        this.menuFocusIndex = ((this.menuFocusIndex % count) + count) % count;
+        const focused = menu.options[this.menuFocusIndex];
+        if (document.activeElement !== focused) {
+            focused.focus();
+        }
+
+        if (justPressed(BUTTONS.south)) {
+            focused.click();
+        }
+    }
+}
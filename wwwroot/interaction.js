@@ -0,0 +1,153 @@
+// interaction.js - targeting and interacting with nearby environment objects
+import { logger } from './eventLog.js';
+
+export const INTERACTION_RANGE = 6;
+const PROMPT_RANGE = 14;
+const PENDING_TIMEOUT_MS = 1500;
+
+// The server answers an interaction by swinging the equipped weapon at the object; there is no harvesting or mining.
+const INTERACTION_LABELS = {
+    tree: { verb: 'Strike', progress: 'Striking', noun: 'Tree' },
+    sentinel: { verb: 'Strike', progress: 'Striking', noun: 'Sentinel' },
+    rock: { verb: 'Strike', progress: 'Striking', noun: 'Rock' }
+};
+
+function describeObject(type) {
+    return INTERACTION_LABELS[type] ?? { verb: 'Interact with', progress: 'Interacting with', noun: type ? type.charAt(0).toUpperCase() + type.slice(1) : 'Object' };
+}
+
+export class InteractionController {
+    constructor(world, player, network = null) {
+        this.world = world;
+        this.player = player;
+        this.network = network;
+        this.focused = null;
+        this.clickTargetId = null;
+        this.pending = null;
+        this.prompt = document.getElementById('interactionPrompt');
+
+        window.addEventListener('keydown', (evt) => {
+            if (evt.repeat || !this.player.controls.matches('interact', evt.code)) {
+                return;
+            }
+            this.interact(this.focused);
+        });
+
+        this.world.renderer?.domElement?.addEventListener('mousedown', (evt) => {
+            if (evt.button !== 0) {
+                return;
+            }
+            this.interactAt(evt.clientX, evt.clientY);
+        });
+    }
+
+    interactAt(clientX, clientY) {
+        if (this.world.controlSuspended) {
+            return false;
+        }
+        const picked = this.world.pickEnvironmentObject(clientX, clientY);
+        if (!picked) {
+            return false;
+        }
+        this.clickTargetId = picked.id;
+        return this.interact(picked);
+    }
+
+    update() {
+        const now = performance.now();
+        if (this.pending && now >= this.pending.expiresAt) {
+            logger.warn('system', `No response interacting with ${describeObject(this.pending.type).noun.toLowerCase()}.`);
+            this.pending = null;
+        }
+
+        const position = this.player.position;
+        let focused = null;
+        if (this.clickTargetId) {
+            const clicked = this.world.getEnvironmentObject(this.clickTargetId);
+            const distance = clicked ? Math.hypot(clicked.x - position.x, clicked.z - position.z) : Infinity;
+            if (clicked?.isActive && distance <= PROMPT_RANGE) {
+                focused = { ...clicked, distance };
+            } else {
+                this.clickTargetId = null;
+            }
+        }
+        if (!focused) {
+            focused = this.world.findNearestEnvironmentObject(position, PROMPT_RANGE);
+        }
+        if (this.world.controlSuspended) {
+            focused = null;
+        }
+
+        this.focused = focused;
+        const pendingId = this.pending?.id ?? null;
+        this.world.setInteractionFocus(pendingId ?? focused?.id ?? null, Boolean(pendingId));
+        this.renderPrompt();
+    }
+
+    interact(target) {
+        if (!target || this.world.controlSuspended || this.player.isEthereal) {
+            return false;
+        }
+        const current = this.world.getEnvironmentObject(target.id);
+        if (!current || !current.isActive) {
+            return false;
+        }
+        const distance = Math.hypot(current.x - this.player.position.x, current.z - this.player.position.z);
+        if (distance > INTERACTION_RANGE) {
+            logger.info('system', `${describeObject(current.type).noun} is too far away.`);
+            return false;
+        }
+        if (this.pending) {
+            return false;
+        }
+        if (!this.network || typeof this.network.isOpen !== 'function' || !this.network.isOpen()) {
+            logger.warn('network', 'Unable to interact while disconnected.');
+            return false;
+        }
+
+        this.network.sendInteraction(current.id);
+        this.pending = { id: current.id, type: current.type, expiresAt: performance.now() + PENDING_TIMEOUT_MS };
+        return true;
+    }
+
+    /**
+     * Resolved by our own swing or an update for the pending object; a rejected request simply times out.
+     */
+    resolvePending(targetId) {
+        if (this.pending && targetId && this.pending.id === targetId) {
+            this.pending = null;
+        }
+    }
+
+    renderPrompt() {
+        if (!this.prompt) {
+            return;
+        }
+        const target = this.pending ? this.world.getEnvironmentObject(this.pending.id) ?? this.pending : this.focused;
+        if (!target) {
+            this.prompt.dataset.visible = 'false';
+            return;
+        }
+
+        const { verb, progress, noun } = describeObject(target.type);
+        const distance = typeof target.distance === 'number'
+            ? target.distance
+            : Math.hypot((target.x ?? 0) - this.player.position.x, (target.z ?? 0) - this.player.position.z);
+        let state;
+        let text;
+        if (this.pending) {
+            state = 'pending';
+            text = `${progress} ${noun}…`;
+        } else if (distance <= INTERACTION_RANGE) {
+            state = 'ready';
+            text = `${this.player.controls.describe('interact')} · ${verb} ${noun}`;
+        } else {
+            state = 'far';
+            text = `${noun} · move closer (${distance.toFixed(1)}m)`;
+        }
+
+        this.prompt.dataset.visible = 'true';
+        this.prompt.dataset.state = state;
+        this.prompt.textContent = text;
+    }
+}
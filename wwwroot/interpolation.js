@@ -0,0 +1,111 @@
+// interpolation.js - buffers timestamped snapshots and samples them a fixed delay in the past
+
+// Server snapshots arrive every ~100-120 ms, so rendering two intervals behind
+// usually leaves a snapshot on both sides of the render time.
+export const INTERPOLATION_DELAY_MS = 200;
+const MAX_EXTRAPOLATION_MS = 250;
+const MAX_BUFFERED_SNAPSHOTS = 16;
+const TELEPORT_DISTANCE = 12;
+
+export function lerpAngle(from, to, t) {
+    let delta = (to - from) % (Math.PI * 2);
+    if (delta > Math.PI) {
+        delta -= Math.PI * 2;
+    } else if (delta < -Math.PI) {
+        delta += Math.PI * 2;
+    }
+    return from + delta * t;
+}
+
+export class SnapshotBuffer {
+    constructor() {
+        this.snapshots = [];
+    }
+
+    get latest() {
+        return this.snapshots.length > 0 ? this.snapshots[this.snapshots.length - 1] : null;
+    }
+
+    push(time, state) {
+        const snapshot = {
+            time,
+            x: state.x ?? 0,
+            z: state.z ?? 0,
+            heading: state.heading ?? 0,
+            offset: state.offset ?? 0
+        };
+
+        const last = this.latest;
+        if (last) {
+            // Large jumps (respawns, teleports) should snap rather than glide across the map.
+            if (Math.hypot(snapshot.x - last.x, snapshot.z - last.z) > TELEPORT_DISTANCE) {
+                this.snapshots.length = 0;
+            } else if (time <= last.time) {
+                this.snapshots[this.snapshots.length - 1] = { ...snapshot, time: last.time };
+                return;
+            }
+        }
+
+        this.snapshots.push(snapshot);
+        if (this.snapshots.length > MAX_BUFFERED_SNAPSHOTS) {
+            this.snapshots.shift();
+        }
+    }
+
+    sample(renderTime) {
+        const snapshots = this.snapshots;
+        if (snapshots.length === 0) {
+            return null;
+        }
+
+        const first = snapshots[0];
+        if (snapshots.length === 1 || renderTime <= first.time) {
+            return { x: first.x, z: first.z, heading: first.heading, offset: first.offset };
+        }
+
+        const last = snapshots[snapshots.length - 1];
+        if (renderTime >= last.time) {
+            return this.extrapolate(renderTime);
+        }
+
+        let index = 1;
+        while (index < snapshots.length && snapshots[index].time <= renderTime) {
+            index++;
+        }
+        const from = snapshots[index - 1];
+        const to = snapshots[index];
+        const t = (renderTime - from.time) / (to.time - from.time);
+
+        // Everything before the bracketing pair has been rendered past.
+        if (index > 1) {
+            snapshots.splice(0, index - 1);
+        }
+
+        return {
+            x: from.x + (to.x - from.x) * t,
+            z: from.z + (to.z - from.z) * t,
+            heading: lerpAngle(from.heading, to.heading, t),
+            offset: from.offset + (to.offset - from.offset) * t
+        };
+    }
+
+    extrapolate(renderTime) {
+        const snapshots = this.snapshots;
+        const last = snapshots[snapshots.length - 1];
+        const previous = snapshots[snapshots.length - 2];
+        const span = last.time - previous.time;
+        if (span <= 0) {
+            return { x: last.x, z: last.z, heading: last.heading, offset: last.offset };
+        }
+
+        // Keep moving along the last known velocity for a short while, then hold.
+        const ahead = Math.min(renderTime - last.time, MAX_EXTRAPOLATION_MS);
+        const scale = ahead / span;
+        return {
+            x: last.x + (last.x - previous.x) * scale,
+            z: last.z + (last.z - previous.z) * scale,
+            heading: last.heading,
+            offset: last.offset
+        };
+    }
+}
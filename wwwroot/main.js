@@ -1,12 +1,12 @@
 ﻿// main.js
-import { log } from './utils.js';
+import { logger } from './eventLog.js';
 
 // This file can contain extra logic like debug commands, layered Perlin demos, etc.
 // As an example:
 
 export function debugPerlinTest() {
     // some debug function
-    log("Running a Perlin test from main.js (not mandatory)...");
+    logger.debug('system', 'Running a Perlin test from main.js (not mandatory)...');
 }
 
 // If you don't need anything, this file can remain empty or minimal
@@ -0,0 +1,311 @@
+// minimap.js - camera-relative corner minimap and a full-screen map of every chunk seen this session
+
+import { toCssColor } from './playerColors.js';
+
+export const MINIMAP_ZOOM_LEVELS = [1, 2, 4];
+const DEFAULT_ZOOM_INDEX = 1;
+const MINIMAP_REFRESH_MS = 100;
+const WORLD_MAP_PADDING = 24;
+// Heights outside this band clamp to the ends of the shading ramp.
+const TERRAIN_SHADE_RANGE = [-12, 12];
+
+const MAP_COLORS = {
+    background: '#0b101a',
+    localPlayer: '#f4f7ff',
+    remotePlayer: '#4695ff',
+    mob: '#ff5d73',
+    target: '#ffd166',
+    north: '#ffd166'
+};
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Bakes a chunk's height grid into a small canvas, one pixel per terrain cell,
+ * coloured by height with a simple north-west hillshade.
+ */
+function bakeChunkTile(chunk) {
+    const cells = chunk.resolution;
+    const perAxis = cells + 1;
+    const canvas = document.createElement('canvas');
+    canvas.width = cells;
+    canvas.height = cells;
+    const ctx = canvas.getContext('2d');
+    const [minHeight, maxHeight] = TERRAIN_SHADE_RANGE;
+    const heightAt = (vx, vz) => chunk.heights[clamp(vz, 0, cells) * perAxis + clamp(vx, 0, cells)];
+
+    for (let cz = 0; cz < cells; cz++) {
+        for (let cx = 0; cx < cells; cx++) {
+            const height = (heightAt(cx, cz) + heightAt(cx + 1, cz) + heightAt(cx, cz + 1) + heightAt(cx + 1, cz + 1)) / 4;
+            const slope = (heightAt(cx + 1, cz + 1) - heightAt(cx, cz)) / chunk.spacing;
+            const t = clamp((height - minHeight) / (maxHeight - minHeight), 0, 1);
+            const hue = Math.round((0.55 - t * 0.18) * 360);
+            const lightness = clamp(22 + t * 30 + slope * 12, 10, 72);
+            ctx.fillStyle = `hsl(${hue}, 45%, ${lightness.toFixed(1)}%)`;
+            ctx.fillRect(cx, cz, 1, 1);
+        }
+    }
+    return canvas;
+}
+
+export class MapController {
+    constructor(world, player) {
+        this.world = world;
+        this.player = player;
+        this.tiles = new Map();
+        this.zoomIndex = DEFAULT_ZOOM_INDEX;
+        this.lastMinimapDraw = 0;
+
+        this.minimap = document.getElementById('minimapCanvas');
+        this.minimapContext = this.minimap?.getContext('2d') ?? null;
+        this.worldMapOverlay = document.getElementById('worldMapOverlay');
+        this.worldMap = document.getElementById('worldMapCanvas');
+        this.worldMapContext = this.worldMap?.getContext('2d') ?? null;
+
+        document.getElementById('minimapZoomIn')?.addEventListener('click', () => this.setZoomIndex(this.zoomIndex + 1));
+        document.getElementById('minimapZoomOut')?.addEventListener('click', () => this.setZoomIndex(this.zoomIndex - 1));
+        document.getElementById('worldMapClose')?.addEventListener('click', () => this.setWorldMapOpen(false));
+        this.minimap?.addEventListener('click', () => this.setWorldMapOpen(true));
+
+        window.addEventListener('keydown', (evt) => {
+            if (this.player.controls.matches('toggleMap', evt.code) && !evt.repeat) {
+                this.setWorldMapOpen(!this.isWorldMapOpen());
+            } else if (evt.code === 'Escape' && this.isWorldMapOpen()) {
+                this.setWorldMapOpen(false);
+            }
+        });
+    }
+
+    setZoomIndex(index) {
+        this.zoomIndex = clamp(index, 0, MINIMAP_ZOOM_LEVELS.length - 1);
+        this.lastMinimapDraw = 0;
+    }
+
+    isWorldMapOpen() {
+        return this.worldMapOverlay?.dataset.visible === 'true';
+    }
+
+    setWorldMapOpen(open) {
+        if (!this.worldMapOverlay) {
+            return;
+        }
+        this.worldMapOverlay.dataset.visible = open ? 'true' : 'false';
+        this.player?.setMenuState?.('worldMap', open);
+        if (open) {
+            this.drawWorldMap();
+        }
+    }
+
+    update(now = performance.now()) {
+        if (now - this.lastMinimapDraw < MINIMAP_REFRESH_MS) {
+            return;
+        }
+        this.lastMinimapDraw = now;
+        this.syncTiles();
+        this.drawMinimap();
+        if (this.isWorldMapOpen()) {
+            this.drawWorldMap();
+        }
+    }
+
+    /**
+     * Tiles outlive the world's chunk retention so the world map keeps everything
+     * explored; a chunk that reloads gets its tile rebaked.
+     */
+    syncTiles() {
+        for (const [key, chunk] of this.world.terrainChunks) {
+            const tile = this.tiles.get(key);
+            if (tile?.source === chunk) {
+                continue;
+            }
+            const size = chunk.resolution * chunk.spacing;
+            this.tiles.set(key, { source: chunk, canvas: bakeChunkTile(chunk), x: chunk.originX, z: chunk.originZ, size });
+        }
+    }
+
+    resizeCanvas(canvas) {
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(canvas.clientWidth * ratio);
+        const height = Math.round(canvas.clientHeight * ratio);
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+        return ratio;
+    }
+
+    /**
+     * Forward is up. Heading follows the world's atan2(dx, dz) convention, so the
+     * camera's right-hand side is (-cos yaw, sin yaw) on the ground plane.
+     */
+    drawMinimap() {
+        const canvas = this.minimap;
+        const ctx = this.minimapContext;
+        if (!canvas || !ctx || canvas.clientWidth === 0) {
+            return;
+        }
+        const ratio = this.resizeCanvas(canvas);
+        const width = canvas.width;
+        const center = width / 2;
+        const scale = MINIMAP_ZOOM_LEVELS[this.zoomIndex] * ratio;
+        const origin = this.world.localPlayer ?? { x: 0, z: 0 };
+        const yaw = this.world.cameraYaw ?? 0;
+        const sin = Math.sin(yaw);
+        const cos = Math.cos(yaw);
+
+        const a = -cos * scale;
+        const b = -sin * scale;
+        const c = sin * scale;
+        const d = -cos * scale;
+        const project = (x, z) => ({
+            x: center + a * (x - origin.x) + c * (z - origin.z),
+            y: center + b * (x - origin.x) + d * (z - origin.z)
+        });
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, width, width);
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(center, center, center, 0, Math.PI * 2);
+        ctx.clip();
+        ctx.fillStyle = MAP_COLORS.background;
+        ctx.fillRect(0, 0, width, width);
+
+        const viewRadius = center / scale;
+        ctx.setTransform(a, b, c, d, center - a * origin.x - c * origin.z, center - b * origin.x - d * origin.z);
+        for (const tile of this.tiles.values()) {
+            const midX = tile.x + tile.size / 2 - origin.x;
+            const midZ = tile.z + tile.size / 2 - origin.z;
+            if (Math.hypot(midX, midZ) - tile.size > viewRadius) {
+                continue;
+            }
+            ctx.drawImage(tile.canvas, tile.x, tile.z, tile.size, tile.size);
+        }
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+
+        this.drawEntities(ctx, project, ratio);
+        ctx.restore();
+
+        const north = project(origin.x, origin.z + viewRadius);
+        const dirX = north.x - center;
+        const dirY = north.y - center;
+        const length = Math.hypot(dirX, dirY) || 1;
+        ctx.font = `700 ${Math.round(11 * ratio)}px "Segoe UI", sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = MAP_COLORS.north;
+        ctx.fillText('N', center + (dirX / length) * (center - 9 * ratio), center + (dirY / length) * (center - 9 * ratio));
+
+        this.drawPlayerArrow(ctx, center, center, yaw - (origin.heading ?? 0), ratio);
+    }
+
+    /**
+     * North-up overview framed around every tile received so far.
+     */
+    drawWorldMap() {
+        const canvas = this.worldMap;
+        const ctx = this.worldMapContext;
+        if (!canvas || !ctx || canvas.clientWidth === 0) {
+            return;
+        }
+        const ratio = this.resizeCanvas(canvas);
+        const width = canvas.width;
+        const height = canvas.height;
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.fillStyle = MAP_COLORS.background;
+        ctx.fillRect(0, 0, width, height);
+
+        const origin = this.world.localPlayer ?? { x: 0, z: 0 };
+        let minX = origin.x;
+        let maxX = origin.x;
+        let minZ = origin.z;
+        let maxZ = origin.z;
+        for (const tile of this.tiles.values()) {
+            minX = Math.min(minX, tile.x);
+            maxX = Math.max(maxX, tile.x + tile.size);
+            minZ = Math.min(minZ, tile.z);
+            maxZ = Math.max(maxZ, tile.z + tile.size);
+        }
+        const padding = WORLD_MAP_PADDING * ratio;
+        const scale = Math.min(
+            (width - padding * 2) / Math.max(1, maxX - minX),
+            (height - padding * 2) / Math.max(1, maxZ - minZ)
+        );
+        const midX = (minX + maxX) / 2;
+        const midZ = (minZ + maxZ) / 2;
+        // Same handedness as the minimap at zero yaw: +Z up, +X to the left.
+        const project = (x, z) => ({
+            x: width / 2 - (x - midX) * scale,
+            y: height / 2 - (z - midZ) * scale
+        });
+
+        ctx.imageSmoothingEnabled = false;
+        ctx.setTransform(-scale, 0, 0, -scale, width / 2 + midX * scale, height / 2 + midZ * scale);
+        for (const tile of this.tiles.values()) {
+            ctx.drawImage(tile.canvas, tile.x, tile.z, tile.size, tile.size);
+        }
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.imageSmoothingEnabled = true;
+
+        this.drawEntities(ctx, project, ratio);
+        const self = project(origin.x, origin.z);
+        this.drawPlayerArrow(ctx, self.x, self.y, -(origin.heading ?? 0), ratio);
+    }
+
+    drawEntities(ctx, project, ratio) {
+        const targetId = this.world.targetLockId ?? this.world.highlightedMobId ?? null;
+        for (const [id, mob] of this.world.mobs) {
+            if (!mob.isAlive || !Number.isFinite(mob.x) || !Number.isFinite(mob.z)) {
+                continue;
+            }
+            const point = project(mob.x, mob.z);
+            this.drawDot(ctx, point, 3 * ratio, MAP_COLORS.mob);
+            if (id === targetId) {
+                ctx.strokeStyle = MAP_COLORS.target;
+                ctx.lineWidth = 2 * ratio;
+                ctx.beginPath();
+                ctx.arc(point.x, point.y, 6 * ratio, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+        }
+        for (const entry of this.world.remotePlayers.values()) {
+            const position = entry.mesh?.position;
+            if (!position) {
+                continue;
+            }
+            const color = typeof entry.color === 'number' ? toCssColor(entry.color) : MAP_COLORS.remotePlayer;
+            this.drawDot(ctx, project(position.x, position.z), 3.5 * ratio, color);
+        }
+    }
+
+    drawDot(ctx, point, radius, color) {
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, radius, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    /**
+     * rotation is in screen space, zero pointing up.
+     */
+    drawPlayerArrow(ctx, x, y, rotation, ratio) {
+        const size = 7 * ratio;
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(rotation);
+        ctx.fillStyle = MAP_COLORS.localPlayer;
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.lineWidth = ratio;
+        ctx.beginPath();
+        ctx.moveTo(0, -size);
+        ctx.lineTo(size * 0.7, size * 0.8);
+        ctx.lineTo(0, size * 0.4);
+        ctx.lineTo(-size * 0.7, size * 0.8);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+        ctx.restore();
+    }
+}
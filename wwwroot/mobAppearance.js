@@ -0,0 +1,120 @@
+// mobAppearance.js - data-driven mob looks keyed by the type or name the server sends
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.161.0/build/three.module.js';
+import { createMobAvatar } from './avatars.js';
+
+const FALLBACK_APPEARANCE_ID = 'default';
+
+const MOB_MESH_STYLES = {
+    humanoid: (appearance) => createMobAvatar({
+        ...appearance.colors,
+        height: appearance.height,
+        decorate: appearance.decorate
+    })
+};
+
+const MOB_APPEARANCES = new Map();
+
+function normalizeKey(value) {
+    return typeof value === 'string' ? value.toLowerCase().replace(/[^a-z0-9]/g, '') : '';
+}
+
+function addGlowMesh(parent, geometry, color, position) {
+    const mesh = new THREE.Mesh(
+        geometry,
+        new THREE.MeshStandardMaterial({
+            color,
+            emissive: new THREE.Color(color).multiplyScalar(0.6),
+            flatShading: true,
+            metalness: 0.3,
+            roughness: 0.3
+        })
+    );
+    mesh.position.copy(position);
+    parent.add(mesh);
+    return mesh;
+}
+
+/**
+ * Registers or replaces an appearance. Keys are matched case- and punctuation-insensitively,
+ * so 'Prism Stalker' and 'prismStalker' resolve to the same entry.
+ */
+export function registerMobAppearance(id, definition = {}) {
+    const key = normalizeKey(id);
+    if (!key) {
+        return;
+    }
+    MOB_APPEARANCES.set(key, {
+        style: 'humanoid',
+        colors: {},
+        height: 1.9,
+        scale: 1,
+        decorate: null,
+        ...definition,
+        id: key
+    });
+}
+
+/**
+ * Names win over types so a named variant can restyle one member of a shared type.
+ */
+export function resolveMobAppearance(mob = {}) {
+    return MOB_APPEARANCES.get(normalizeKey(mob.name))
+        ?? MOB_APPEARANCES.get(normalizeKey(mob.type))
+        ?? MOB_APPEARANCES.get(FALLBACK_APPEARANCE_ID);
+}
+
+export function createMobAppearanceMesh(appearance = MOB_APPEARANCES.get(FALLBACK_APPEARANCE_ID)) {
+    const builder = MOB_MESH_STYLES[appearance.style] ?? MOB_MESH_STYLES.humanoid;
+    const mesh = builder(appearance);
+    mesh.scale.setScalar(appearance.scale);
+    mesh.userData.appearanceId = appearance.id;
+    return mesh;
+}
+
+registerMobAppearance(FALLBACK_APPEARANCE_ID, {});
+
+registerMobAppearance('runicHunter', {
+    colors: {
+        bodyColor: 0x3b1d29,
+        trimColor: 0xff7b4a,
+        weaponColor: 0xffc05a,
+        pauldronColor: 0x8e2f3a
+    },
+    decorate(group, data) {
+        const torso = data.parts.torso;
+        if (!torso) {
+            return;
+        }
+        // A glowing rune plate across the chest.
+        addGlowMesh(torso, new THREE.BoxGeometry(0.32, 0.32, 0.06), 0xff9d5c, new THREE.Vector3(0, 0.12, 0.33))
+            .rotation.z = Math.PI / 4;
+    }
+});
+
+registerMobAppearance('Prism Stalker', {
+    colors: {
+        bodyColor: 0x1d2f3b,
+        accentColor: 0xd6f4ff,
+        trimColor: 0x6fe3ff,
+        weaponColor: 0x9ff0ff,
+        weaponHandleColor: 0x1b2b36,
+        pauldronColor: 0x2f6e8e,
+        hornColor: 0xa8f1ff
+    },
+    height: 2.0,
+    scale: 1.1,
+    decorate(group, data) {
+        const torso = data.parts.torso;
+        if (!torso) {
+            return;
+        }
+        // Crystal shards jutting from the back.
+        const shardGeometry = new THREE.OctahedronGeometry(0.18, 0);
+        [[-0.18, 0.3], [0.16, 0.18], [0, 0.02]].forEach(([x, y], index) => {
+            const shard = addGlowMesh(torso, shardGeometry, 0x7fe8ff, new THREE.Vector3(x, y, -0.34));
+            shard.scale.set(0.8, 1.9 - index * 0.3, 0.8);
+            shard.rotation.x = -0.5;
+        });
+    }
+});
@@ -0,0 +1,158 @@
+// nameplates.js - canvas-textured sprites showing names and health above mobs and players
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.161.0/build/three.module.js';
+
+const CANVAS_WIDTH = 256;
+const CANVAS_HEIGHT = 64;
+const WORLD_WIDTH = 4;
+const FADE_START_DISTANCE = 30;
+const FADE_END_DISTANCE = 70;
+
+export const NAMEPLATE_STYLES = {
+    hostile: { text: '#ffb3a8', bar: '#ff5d5d', outline: 'rgba(255, 93, 93, 0.55)' },
+    neutral: { text: '#ffe9b8', bar: '#f8c550', outline: 'rgba(248, 197, 80, 0.4)' },
+    player: { text: '#cfe4ff', bar: '#4695ff', outline: 'rgba(70, 149, 255, 0.45)' }
+};
+
+export function createNameplate(height = 3) {
+    const canvas = document.createElement('canvas');
+    canvas.width = CANVAS_WIDTH;
+    canvas.height = CANVAS_HEIGHT;
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+
+    const material = new THREE.SpriteMaterial({ map: texture, transparent: true, depthWrite: false });
+    const sprite = new THREE.Sprite(material);
+    sprite.scale.set(WORLD_WIDTH, WORLD_WIDTH * (CANVAS_HEIGHT / CANVAS_WIDTH), 1);
+    sprite.position.y = height;
+    sprite.renderOrder = 10;
+
+    return { sprite, canvas, context: canvas.getContext('2d'), texture, key: null };
+}
+
+/**
+ * Redraws the plate only when its content changes; healthFraction null hides the bar.
+ * color, when given, tints the name in place of the style's text colour.
+ */
+export function updateNameplate(plate, { name = '', healthFraction = null, style = 'neutral', color = null } = {}) {
+    const health = typeof healthFraction === 'number' ? Math.max(0, Math.min(1, healthFraction)) : null;
+    const key = `${name}|${health === null ? '-' : health.toFixed(3)}|${style}|${color ?? ''}`;
+    if (plate.key === key) {
+        return;
+    }
+    plate.key = key;
+
+    const colors = NAMEPLATE_STYLES[style] ?? NAMEPLATE_STYLES.neutral;
+    const ctx = plate.context;
+    ctx.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+
+    ctx.font = '600 24px "Segoe UI", sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.lineWidth = 5;
+    ctx.strokeStyle = 'rgba(8, 10, 16, 0.85)';
+    ctx.fillStyle = color ?? colors.text;
+    const textY = health === null ? CANVAS_HEIGHT / 2 : 20;
+    ctx.strokeText(name, CANVAS_WIDTH / 2, textY, CANVAS_WIDTH - 12);
+    ctx.fillText(name, CANVAS_WIDTH / 2, textY, CANVAS_WIDTH - 12);
+
+    if (health !== null) {
+        const barX = 28;
+        const barY = 42;
+        const barWidth = CANVAS_WIDTH - barX * 2;
+        const barHeight = 12;
+        ctx.fillStyle = 'rgba(8, 10, 16, 0.75)';
+        ctx.fillRect(barX - 2, barY - 2, barWidth + 4, barHeight + 4);
+        ctx.fillStyle = colors.bar;
+        ctx.fillRect(barX, barY, barWidth * health, barHeight);
+        ctx.strokeStyle = colors.outline;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(barX - 2, barY - 2, barWidth + 4, barHeight + 4);
+    }
+
+    plate.texture.needsUpdate = true;
+}
+
+export function fadeNameplate(plate, distance) {
+    const t = (distance - FADE_START_DISTANCE) / (FADE_END_DISTANCE - FADE_START_DISTANCE);
+    const opacity = 1 - Math.max(0, Math.min(1, t));
+    plate.sprite.material.opacity = opacity;
+    plate.sprite.visible = opacity > 0.01;
+}
+
+export function disposeNameplate(plate) {
+    if (!plate) {
+        return;
+    }
+    plate.sprite.parent?.remove(plate.sprite);
+    plate.texture.dispose();
+    plate.sprite.material.dispose();
+}
+
+const BUBBLE_CANVAS_WIDTH = 512;
+const BUBBLE_LINE_HEIGHT = 34;
+const BUBBLE_MAX_LINES = 3;
+const BUBBLE_WORLD_WIDTH = 4.5;
+
+function wrapBubbleText(ctx, text, maxWidth) {
+    const lines = [];
+    let current = '';
+    text.split(' ').forEach(word => {
+        const candidate = current ? `${current} ${word}` : word;
+        if (current && ctx.measureText(candidate).width > maxWidth) {
+            lines.push(current);
+            current = word;
+        } else {
+            current = candidate;
+        }
+    });
+    if (current) {
+        lines.push(current);
+    }
+    if (lines.length > BUBBLE_MAX_LINES) {
+        lines.length = BUBBLE_MAX_LINES;
+        lines[BUBBLE_MAX_LINES - 1] += '…';
+    }
+    return lines;
+}
+
+/**
+ * A speech bubble sprite sized to its wrapped text. Shares its shape with
+ * nameplates, so disposeNameplate releases it too.
+ */
+export function createChatBubble(text, height = 3.5) {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    const font = '500 26px "Segoe UI", sans-serif';
+    ctx.font = font;
+    const lines = wrapBubbleText(ctx, text, BUBBLE_CANVAS_WIDTH - 48);
+    canvas.width = BUBBLE_CANVAS_WIDTH;
+    canvas.height = lines.length * BUBBLE_LINE_HEIGHT + 28;
+
+    ctx.font = font;
+    ctx.fillStyle = 'rgba(14, 18, 28, 0.85)';
+    ctx.strokeStyle = 'rgba(207, 228, 255, 0.45)';
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.roundRect(4, 4, canvas.width - 8, canvas.height - 8, 18);
+    ctx.fill();
+    ctx.stroke();
+    ctx.fillStyle = '#eef4ff';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    lines.forEach((line, index) => {
+        ctx.fillText(line, canvas.width / 2, 14 + BUBBLE_LINE_HEIGHT * (index + 0.5));
+    });
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    const material = new THREE.SpriteMaterial({ map: texture, transparent: true, depthWrite: false });
+    const sprite = new THREE.Sprite(material);
+    sprite.scale.set(BUBBLE_WORLD_WIDTH, BUBBLE_WORLD_WIDTH * (canvas.height / canvas.width), 1);
+    // Bottom-anchored so taller bubbles grow upwards instead of into the nameplate.
+    sprite.center.set(0.5, 0);
+    sprite.position.y = height;
+    sprite.renderOrder = 11;
+
+    return { sprite, canvas, context: ctx, texture, key: text };
+}
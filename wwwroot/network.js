@@ -1,8 +1,30 @@
 // network.js
-import { log } from './utils.js';
+import { logger } from './eventLog.js';
+import { loadStored, saveStored } from './storage.js';
 
 const DEFAULT_RECONNECT_DELAY = 1500;
 const MAX_RECONNECT_DELAY = 12000;
+const PING_INTERVAL_MS = 2000;
+export const RTT_HISTORY_LENGTH = 60;
+const TRAFFIC_WINDOW_MS = 1000;
+// sessionStorage, so a reload or reconnect in this tab resumes but a second tab gets its own character.
+const SESSION_STORAGE_KEY = 'singularity.session.v1';
+
+export const CONNECTION_STATES = {
+    idle: 'idle',
+    connecting: 'connecting',
+    online: 'online',
+    reconnecting: 'reconnecting'
+};
+
+function loadSessionToken() {
+    const token = loadStored(SESSION_STORAGE_KEY, { session: true, category: 'network' });
+    return typeof token === 'string' ? token : null;
+}
+
+function saveSessionToken(token) {
+    saveStored(SESSION_STORAGE_KEY, token, { session: true, category: 'network' });
+}
 
 export class Network {
     constructor(callbacks = {}) {
@@ -12,11 +34,27 @@ export class Network {
         this.desiredUrl = null;
         this.reconnectDelay = DEFAULT_RECONNECT_DELAY;
         this.reconnectTimer = null;
+        this.reconnectAt = null;
+        this.state = CONNECTION_STATES.idle;
+        this.pingTimer = null;
+        this.pingSequence = 0;
+        this.rtt = null;
+        this.rttHistory = [];
+        this.resumeAttempted = false;
+        this.traffic = { windowStart: performance.now(), received: 0, sent: 0, receivedPerSecond: 0, sentPerSecond: 0 };
     }
 
-    connect(url) {
+    connect(url = this.desiredUrl) {
         this.desiredUrl = url;
         this.clearReconnect();
+        if (this.socket && this.socket.readyState !== WebSocket.CLOSED) {
+            // Drop the old socket quietly so its close doesn't schedule another reconnect.
+            const stale = this.socket;
+            stale.onopen = stale.onclose = stale.onerror = stale.onmessage = null;
+            stale.close();
+            this.socket = null;
+            this.stopPing();
+        }
         this.openSocket();
     }
 
@@ -25,24 +63,29 @@ export class Network {
             throw new Error('WebSocket url not set');
         }
 
-        log(`Connecting to ${this.desiredUrl}…`);
-        this.socket = new WebSocket(this.desiredUrl);
+        logger.info('network', `Connecting to ${this.desiredUrl}…`);
+        this.state = CONNECTION_STATES.connecting;
+        this.socket = new WebSocket(this.buildSocketUrl());
 
         this.socket.onopen = () => {
-            log('WebSocket connected.');
+            logger.info('network', 'WebSocket connected.');
+            this.state = CONNECTION_STATES.online;
             this.reconnectDelay = DEFAULT_RECONNECT_DELAY;
+            this.startPing();
             if (this.callbacks.onSocketOpen) {
                 this.callbacks.onSocketOpen();
             }
         };
 
         this.socket.onerror = (err) => {
-            log(`WebSocket error: ${err.message ?? err}`);
+            logger.error('network', `WebSocket error: ${err.message ?? err}`);
         };
 
         this.socket.onclose = () => {
-            log('WebSocket disconnected.');
+            logger.warn('network', 'WebSocket disconnected.');
             this.socket = null;
+            this.stopPing();
+            this.rtt = null;
             this.scheduleReconnect();
             if (this.callbacks.onSocketClosed) {
                 this.callbacks.onSocketClosed();
@@ -50,22 +93,40 @@ export class Network {
         };
 
         this.socket.onmessage = (evt) => {
+            this.countTraffic('received');
             try {
                 const data = JSON.parse(evt.data);
                 this.handleServerMessage(data);
             } catch (e) {
-                log(`Error parsing message: ${e}`);
+                logger.error('network', `Error parsing message: ${e}`);
             }
         };
     }
 
+    /**
+     * Appends the stored session token so the server can hand back the same character.
+     */
+    buildSocketUrl() {
+        const token = loadSessionToken();
+        this.resumeAttempted = Boolean(token);
+        if (!token) {
+            return this.desiredUrl;
+        }
+        const url = new URL(this.desiredUrl, window.location.href);
+        url.searchParams.set('session', token);
+        return url.toString();
+    }
+
     scheduleReconnect() {
         if (!this.desiredUrl || this.reconnectTimer) {
             return;
         }
 
+        this.state = CONNECTION_STATES.reconnecting;
+        this.reconnectAt = performance.now() + this.reconnectDelay;
         this.reconnectTimer = window.setTimeout(() => {
             this.reconnectTimer = null;
+            this.reconnectAt = null;
             this.reconnectDelay = Math.min(this.reconnectDelay * 1.5, MAX_RECONNECT_DELAY);
             this.openSocket();
         }, this.reconnectDelay);
@@ -76,12 +137,84 @@ export class Network {
             window.clearTimeout(this.reconnectTimer);
             this.reconnectTimer = null;
         }
+        this.reconnectAt = null;
+    }
+
+    startPing() {
+        this.stopPing();
+        this.sendPing();
+        this.pingTimer = window.setInterval(() => this.sendPing(), PING_INTERVAL_MS);
+    }
+
+    stopPing() {
+        if (this.pingTimer) {
+            window.clearInterval(this.pingTimer);
+            this.pingTimer = null;
+        }
+    }
+
+    sendPing() {
+        this.pingSequence += 1;
+        this.send({ type: 'ping', id: this.pingSequence, sentAt: performance.now() });
+    }
+
+    handlePong(data) {
+        if (typeof data.sentAt !== 'number') {
+            return;
+        }
+        this.rtt = Math.max(0, performance.now() - data.sentAt);
+        this.rttHistory.push(this.rtt);
+        if (this.rttHistory.length > RTT_HISTORY_LENGTH) {
+            this.rttHistory.shift();
+        }
+    }
+
+    countTraffic(direction) {
+        this.rollTrafficWindow(performance.now());
+        this.traffic[direction] += 1;
+    }
+
+    rollTrafficWindow(now) {
+        const elapsed = now - this.traffic.windowStart;
+        if (elapsed < TRAFFIC_WINDOW_MS) {
+            return;
+        }
+        // A window with no traffic at all still has to read as zero, not the last busy second.
+        const seconds = elapsed / 1000;
+        this.traffic.receivedPerSecond = this.traffic.received / seconds;
+        this.traffic.sentPerSecond = this.traffic.sent / seconds;
+        this.traffic.received = 0;
+        this.traffic.sent = 0;
+        this.traffic.windowStart = now;
+    }
+
+    /**
+     * Snapshot for the HUD; reconnectIn is seconds until the next attempt, or null.
+     */
+    getConnectionStatus(now = performance.now()) {
+        this.rollTrafficWindow(now);
+        return {
+            state: this.state,
+            reconnectIn: this.reconnectAt === null ? null : Math.max(0, (this.reconnectAt - now) / 1000),
+            rtt: this.rtt,
+            rttHistory: this.rttHistory,
+            receivedPerSecond: this.traffic.receivedPerSecond,
+            sentPerSecond: this.traffic.sentPerSecond
+        };
     }
 
     handleServerMessage(data) {
         switch (data.type) {
             case 'initialState':
                 this.playerId = data.playerId;
+                if (typeof data.sessionToken === 'string') {
+                    saveSessionToken(data.sessionToken);
+                }
+                if (data.resumed) {
+                    logger.info('network', 'Session resumed.');
+                } else if (this.resumeAttempted) {
+                    logger.warn('network', 'Previous session expired; starting a new character.');
+                }
                 if (this.callbacks.onInitialState) {
                     this.callbacks.onInitialState(data);
                 }
@@ -89,7 +222,7 @@ export class Network {
 
             case 'playerState':
                 if (this.callbacks.onPlayerState) {
-                    this.callbacks.onPlayerState(data.player);
+                    this.callbacks.onPlayerState(data.player, { respawned: data.respawned === true });
                 }
                 break;
 
@@ -152,15 +285,31 @@ export class Network {
                 }
                 break;
 
+            case 'playerDefeated':
+                if (this.callbacks.onPlayerDefeated) {
+                    this.callbacks.onPlayerDefeated(data);
+                }
+                break;
+
+            case 'pong':
+                this.handlePong(data);
+                break;
+
+            case 'chatMessage':
+                if (this.callbacks.onChatMessage) {
+                    this.callbacks.onChatMessage(data.message);
+                }
+                break;
+
             default:
-                log(`Unknown message type: ${data.type}`);
+                logger.warn('network', `Unknown message type: ${data.type}`, data);
                 break;
         }
     }
 
     requestNearbyChunks(radius) {
         if (!this.isOpen()) {
-            log('Socket not open yet, skipping chunk request…');
+            logger.debug('network', 'Socket not open yet, skipping chunk request…');
             return;
         }
         this.send({ type: 'requestNearbyChunks', radius });
@@ -206,14 +355,22 @@ export class Network {
         this.send({ type: 'chooseWeapon', abilityId });
     }
 
+    sendChatMessage(text, channel) {
+        if (!this.isOpen() || !text) {
+            return;
+        }
+        this.send({ type: 'chatMessage', text, channel });
+    }
+
     send(payload) {
         if (!this.isOpen()) {
             return;
         }
         try {
             this.socket.send(JSON.stringify(payload));
+            this.countTraffic('sent');
         } catch (err) {
-            log(`Failed to send payload: ${err}`);
+            logger.error('network', `Failed to send payload: ${err}`, payload);
         }
     }
 
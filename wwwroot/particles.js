@@ -0,0 +1,247 @@
+// particles.js - budgeted point-sprite particles with burst, continuous and cone emitters
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.161.0/build/three.module.js';
+
+export const PARTICLE_BUDGET = 2048;
+
+const GRAVITY = -9.8;
+
+/**
+ * Emitter presets. shape 'sphere' scatters in every direction, 'cone' fans
+ * around `direction` by `spread` radians. `rate` (particles per second) makes
+ * an emitter continuous; otherwise it fires `count` once.
+ */
+export const PARTICLE_PRESETS = {
+    hitSpark: {
+        shape: 'cone', direction: [0, 1, 0], spread: 0.9, count: 14,
+        speed: [4, 9], life: [0.25, 0.45], size: [0.18, 0.32],
+        color: 0xffd27a, endColor: 0xff5a2a, gravity: 1, drag: 2
+    },
+    mobDeath: {
+        shape: 'sphere', count: 70, radius: 0.8, offsetY: 1,
+        speed: [0.4, 1.6], life: [0.7, 1.3], size: [0.25, 0.5],
+        color: 0xff7b4a, endColor: 0x2a0d16, gravity: -0.25, drag: 1
+    },
+    levelUp: {
+        shape: 'cone', direction: [0, 1, 0], spread: 0.55, count: 120, radius: 0.9,
+        speed: [4, 10], life: [0.8, 1.6], size: [0.22, 0.45],
+        color: 0xfff2a8, endColor: 0xc89bff, gravity: 0.35, drag: 1.4
+    },
+    etherealAura: {
+        shape: 'sphere', rate: 36, radius: 0.9, offsetY: 1,
+        speed: [0.1, 0.5], life: [0.9, 1.6], size: [0.16, 0.3],
+        color: 0x9fe6ff, endColor: 0x3a4d9a, gravity: -0.15, drag: 0.6
+    }
+};
+
+const VERTEX_SHADER = `
+    attribute float size;
+    attribute vec4 tint;
+    uniform float pointScale;
+    varying vec4 vTint;
+    void main() {
+        vTint = tint;
+        vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+        gl_PointSize = size * pointScale / max(0.1, -mvPosition.z);
+        gl_Position = projectionMatrix * mvPosition;
+    }
+`;
+
+const FRAGMENT_SHADER = `
+    varying vec4 vTint;
+    void main() {
+        float d = length(gl_PointCoord - vec2(0.5));
+        float alpha = vTint.a * smoothstep(0.5, 0.0, d);
+        if (alpha < 0.01) discard;
+        gl_FragColor = vec4(vTint.rgb, alpha);
+    }
+`;
+
+function randomRange([min, max]) {
+    return min + Math.random() * (max - min);
+}
+
+const _direction = new THREE.Vector3();
+const _axis = new THREE.Vector3();
+const _up = new THREE.Vector3(0, 1, 0);
+const _quat = new THREE.Quaternion();
+const _startColor = new THREE.Color();
+const _endColor = new THREE.Color();
+
+export class ParticleSystem {
+    constructor(scene, budget = PARTICLE_BUDGET, viewportHeight = window.innerHeight) {
+        this.budget = budget;
+        this.count = 0;
+        this.emitters = new Set();
+
+        this.positions = new Float32Array(budget * 3);
+        this.velocities = new Float32Array(budget * 3);
+        this.tints = new Float32Array(budget * 4);
+        this.sizes = new Float32Array(budget);
+        // Per particle: age, life, base size, gravity scale, drag, then start and end rgb.
+        this.state = new Float32Array(budget * 11);
+
+        this.geometry = new THREE.BufferGeometry();
+        this.geometry.setAttribute('position', new THREE.BufferAttribute(this.positions, 3).setUsage(THREE.DynamicDrawUsage));
+        this.geometry.setAttribute('tint', new THREE.BufferAttribute(this.tints, 4).setUsage(THREE.DynamicDrawUsage));
+        this.geometry.setAttribute('size', new THREE.BufferAttribute(this.sizes, 1).setUsage(THREE.DynamicDrawUsage));
+        this.geometry.setDrawRange(0, 0);
+
+        this.material = new THREE.ShaderMaterial({
+            // Sized to the viewport from the start; setViewportHeight keeps it in step on resize.
+            uniforms: { pointScale: { value: viewportHeight * 0.5 } },
+            vertexShader: VERTEX_SHADER,
+            fragmentShader: FRAGMENT_SHADER,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending
+        });
+
+        this.points = new THREE.Points(this.geometry, this.material);
+        // Particles spread across the whole world, so bounds-based culling would hide them.
+        this.points.frustumCulled = false;
+        this.points.renderOrder = 15;
+        scene.add(this.points);
+    }
+
+    setViewportHeight(height) {
+        this.material.uniforms.pointScale.value = height * 0.5;
+    }
+
+    /**
+     * Fires a one-off burst. Returns how many particles fit in the budget.
+     */
+    burst(preset, position, overrides = {}) {
+        const config = { ...(PARTICLE_PRESETS[preset] ?? preset), ...overrides };
+        return this.spawnParticles(config, position, config.count ?? 10);
+    }
+
+    /**
+     * Starts a continuous emitter that follows `target` (anything with x/y/z)
+     * until stop() is called on the returned handle.
+     */
+    createEmitter(preset, target, overrides = {}) {
+        const emitter = {
+            config: { ...(PARTICLE_PRESETS[preset] ?? preset), ...overrides },
+            target,
+            carry: 0,
+            stop: () => this.emitters.delete(emitter)
+        };
+        this.emitters.add(emitter);
+        return emitter;
+    }
+
+    spawnParticles(config, position, count) {
+        const available = Math.min(count, this.budget - this.count);
+        if (available <= 0 || !position) {
+            return 0;
+        }
+        _startColor.set(config.color ?? 0xffffff);
+        _endColor.set(config.endColor ?? config.color ?? 0xffffff);
+        const [dirX, dirY, dirZ] = config.direction ?? [0, 1, 0];
+        _axis.set(dirX, dirY, dirZ).normalize();
+        _quat.setFromUnitVectors(_up, _axis);
+        const radius = config.radius ?? 0;
+        const offsetY = config.offsetY ?? 0;
+
+        for (let n = 0; n < available; n++) {
+            const i = this.count++;
+            if (config.shape === 'cone') {
+                // Uniform within a cone around +Y, then rotated onto the emitter direction.
+                const theta = Math.random() * Math.PI * 2;
+                const cosPhi = 1 - Math.random() * (1 - Math.cos(config.spread ?? 0.5));
+                const sinPhi = Math.sqrt(1 - cosPhi * cosPhi);
+                _direction.set(Math.cos(theta) * sinPhi, cosPhi, Math.sin(theta) * sinPhi).applyQuaternion(_quat);
+            } else {
+                _direction.randomDirection();
+            }
+
+            const speed = randomRange(config.speed ?? [1, 2]);
+            const spawnOffset = radius * Math.random();
+            this.positions[i * 3] = position.x + _direction.x * spawnOffset;
+            this.positions[i * 3 + 1] = position.y + offsetY + _direction.y * spawnOffset;
+            this.positions[i * 3 + 2] = position.z + _direction.z * spawnOffset;
+            this.velocities[i * 3] = _direction.x * speed;
+            this.velocities[i * 3 + 1] = _direction.y * speed;
+            this.velocities[i * 3 + 2] = _direction.z * speed;
+
+            const s = i * 11;
+            this.state[s] = 0;
+            this.state[s + 1] = randomRange(config.life ?? [0.5, 1]);
+            this.state[s + 2] = randomRange(config.size ?? [0.2, 0.3]);
+            this.state[s + 3] = config.gravity ?? 0;
+            this.state[s + 4] = config.drag ?? 0;
+            this.state[s + 5] = _startColor.r;
+            this.state[s + 6] = _startColor.g;
+            this.state[s + 7] = _startColor.b;
+            this.state[s + 8] = _endColor.r;
+            this.state[s + 9] = _endColor.g;
+            this.state[s + 10] = _endColor.b;
+        }
+        return available;
+    }
+
+    update(delta) {
+        if (delta <= 0) {
+            return;
+        }
+
+        for (const emitter of this.emitters) {
+            const rate = emitter.config.rate ?? 0;
+            emitter.carry += rate * delta;
+            const whole = Math.floor(emitter.carry);
+            if (whole > 0) {
+                emitter.carry -= whole;
+                this.spawnParticles(emitter.config, emitter.target, whole);
+            }
+        }
+
+        let i = 0;
+        while (i < this.count) {
+            const s = i * 11;
+            const age = this.state[s] + delta;
+            const life = this.state[s + 1];
+            if (age >= life) {
+                this.removeParticle(i);
+                continue;
+            }
+            this.state[s] = age;
+
+            const drag = Math.max(0, 1 - this.state[s + 4] * delta);
+            const p = i * 3;
+            this.velocities[p] *= drag;
+            this.velocities[p + 1] = this.velocities[p + 1] * drag + GRAVITY * this.state[s + 3] * delta;
+            this.velocities[p + 2] *= drag;
+            this.positions[p] += this.velocities[p] * delta;
+            this.positions[p + 1] += this.velocities[p + 1] * delta;
+            this.positions[p + 2] += this.velocities[p + 2] * delta;
+
+            const t = age / life;
+            const c = i * 4;
+            this.tints[c] = this.state[s + 5] + (this.state[s + 8] - this.state[s + 5]) * t;
+            this.tints[c + 1] = this.state[s + 6] + (this.state[s + 9] - this.state[s + 6]) * t;
+            this.tints[c + 2] = this.state[s + 7] + (this.state[s + 10] - this.state[s + 7]) * t;
+            this.tints[c + 3] = 1 - t * t;
+            this.sizes[i] = this.state[s + 2] * (1 - t * 0.5);
+            i++;
+        }
+
+        this.geometry.setDrawRange(0, this.count);
+        this.geometry.attributes.position.needsUpdate = true;
+        this.geometry.attributes.tint.needsUpdate = true;
+        this.geometry.attributes.size.needsUpdate = true;
+    }
+
+    /**
+     * Swap-removes so live particles stay packed at the front of the buffers.
+     */
+    removeParticle(index) {
+        const last = --this.count;
+        if (index === last) {
+            return;
+        }
+        this.positions.copyWithin(index * 3, last * 3, last * 3 + 3);
+        this.velocities.copyWithin(index * 3, last * 3, last * 3 + 3);
+        this.state.copyWithin(index * 11, last * 11, last * 11 + 11);
+    }
+}
@@ -1,16 +1,8 @@
 import { getAbilityDefaults } from './abilities.js';
 import { PLAYER_HEIGHT_OFFSET } from './world.js';
-
-const KEY_BINDINGS = {
-    KeyW: { axis: 'forward', value: 1 },
-    ArrowUp: { axis: 'forward', value: 1 },
-    KeyS: { axis: 'forward', value: -1 },
-    ArrowDown: { axis: 'forward', value: -1 },
-    KeyA: { axis: 'strafe', value: -1 },
-    ArrowLeft: { axis: 'strafe', value: -1 },
-    KeyD: { axis: 'strafe', value: 1 },
-    ArrowRight: { axis: 'strafe', value: 1 }
-};
+import { ControlBindings } from './controls.js';
+import { logger } from './eventLog.js';
+import { loadStored, saveStored } from './storage.js';
 
 const TURN_SPEED_RADIANS = 2.6;
 const DEFAULT_MAX_STEP_HEIGHT = 12;
@@ -31,11 +23,24 @@ function normalizeAngle(angle) {
 
 const NETWORK_SEND_INTERVAL_MS = 120;
 const MIN_MOVEMENT_DELTA = 0.05;
+const MAX_PENDING_INPUTS = 240;
+const CORRECTION_SMOOTHING_RATE = 12;
+const CORRECTION_SNAP_DISTANCE = 8;
+const CAST_MODE_STORAGE_KEY = 'singularity.castModes.v1';
+
+function loadCastModes() {
+    const saved = loadStored(CAST_MODE_STORAGE_KEY);
+    if (saved && typeof saved === 'object') {
+        return new Map(Object.entries(saved).filter(([, autoCast]) => typeof autoCast === 'boolean'));
+    }
+    return new Map();
+}
 
 export class Player {
-    constructor(world, network) {
+    constructor(world, network, controls = null) {
         this.world = world;
         this.network = network;
+        this.controls = controls ?? new ControlBindings();
         this.playerId = null;
         this.position = { x: 0, y: PLAYER_HEIGHT_OFFSET, z: 0 };
         this.velocity = { x: 0, z: 0 };
@@ -50,12 +55,19 @@ export class Player {
         this.isEthereal = false;
         this.menuStates = new Map();
         this.activeBindings = new Map();
+        this.analogSources = new Map();
         this.lastUpdateTime = performance.now();
         this.lastSentTime = 0;
         this.lastSentSnapshot = { x: 0, y: PLAYER_HEIGHT_OFFSET, z: 0, heading: 0 };
+        this.inputSequence = 0;
+        this.pendingInputs = [];
+        this.correctionOffset = { x: 0, z: 0 };
 
         this.abilities = new Map();
         this.abilityRanges = new Map();
+        // Player-chosen auto/manual modes; these win over the server's autoCast flag.
+        this.castModes = loadCastModes();
+        this.targetLockId = null;
         this.primaryAbilityId = null;
         this.debugInfo = this.createDebugInfo();
         this.stats = { attackSpeed: 1, moveSpeed: this.baseMoveSpeed, unspentStatPoints: 0, isEthereal: false };
@@ -104,30 +116,52 @@ export class Player {
 
     initInputListeners() {
         window.addEventListener('keydown', (evt) => {
-            if (evt.code === 'Space') {
+            const actions = this.controls.getActionsForCode(evt.code);
+            if (actions.length === 0) {
+                return;
+            }
+            if (actions.some(action => action.id === 'jump')) {
                 evt.preventDefault();
                 this.jumpRequested = true;
-                return;
             }
-            const binding = KEY_BINDINGS[evt.code];
-            if (binding) {
+            const axisBindings = actions.filter(action => action.axis);
+            if (axisBindings.length > 0) {
                 evt.preventDefault();
                 if (evt.repeat && this.activeBindings.has(evt.code)) {
                     return;
                 }
-                this.activeBindings.set(evt.code, binding);
+                this.activeBindings.set(evt.code, axisBindings);
             }
         });
 
-        window.addEventListener('keyup', (evt) => {
-            if (evt.code === 'Space') {
-                this.jumpRequested = false;
+        window.addEventListener('keydown', (evt) => {
+            const match = /^(?:Digit|Numpad)([1-9])$/.exec(evt.code);
+            if (!match || evt.repeat || evt.ctrlKey || evt.altKey || evt.metaKey) {
+                return;
+            }
+            const ability = this.getAbilityForSlot(Number(match[1]));
+            if (!ability) {
                 return;
             }
-            const binding = KEY_BINDINGS[evt.code];
-            if (binding) {
-                this.activeBindings.delete(evt.code);
+            evt.preventDefault();
+            if (evt.shiftKey) {
+                this.toggleAutoCast(ability.id);
+            } else if (!ability.autoCast) {
+                this.castAbility(ability.id);
+            }
+        });
+
+        window.addEventListener('keyup', (evt) => {
+            if (this.controls.matches('jump', evt.code)) {
+                this.jumpRequested = false;
             }
+            this.activeBindings.delete(evt.code);
+        });
+
+        // A key held while it gets rebound would otherwise never see its keyup.
+        this.controls.onChange(() => {
+            this.activeBindings.clear();
+            this.jumpRequested = false;
         });
     }
 
@@ -145,6 +179,9 @@ export class Player {
 
     updateControlSuspension() {
         const menuOpen = this.menuStates.size > 0;
+        if (menuOpen) {
+            this.jumpRequested = false;
+        }
         const shouldSuspend = menuOpen || this.isEthereal;
         if (typeof this.world?.setControlSuspended === 'function') {
             this.world.setControlSuspended(shouldSuspend);
@@ -155,12 +192,32 @@ export class Player {
         this.playerId = id;
     }
 
+    setAnalogAxes(source, axes = {}) {
+        if (!source) {
+            return;
+        }
+        this.analogSources.set(source, {
+            forward: Number.isFinite(axes.forward) ? axes.forward : 0,
+            strafe: Number.isFinite(axes.strafe) ? axes.strafe : 0,
+            turn: Number.isFinite(axes.turn) ? axes.turn : 0
+        });
+    }
+
     getAxisValue(axis) {
+        // Open menus and the chat box own the keyboard, so nothing should steer the avatar.
+        if (this.menuStates.size > 0) {
+            return 0;
+        }
         let value = 0;
-        for (const binding of this.activeBindings.values()) {
-            if (binding.axis === axis) {
-                value += binding.value;
-            }
+        for (const axes of this.analogSources.values()) {
+            value += axes[axis] ?? 0;
+        }
+        for (const bindings of this.activeBindings.values()) {
+            bindings.forEach(binding => {
+                if (binding.axis === axis) {
+                    value += binding.value;
+                }
+            });
         }
         if (!Number.isFinite(value)) {
             return 0;
@@ -211,7 +268,8 @@ export class Player {
                 const forwardZ = cosYaw;
                 const rightX = -cosYaw;
                 const rightZ = sinYaw;
-                const moveSpeed = Math.max(0.1, this.moveSpeed ?? this.baseMoveSpeed);
+                // Partial stick deflection walks slower; keyboard diagonals still cap at full speed.
+                const moveSpeed = Math.max(0.1, this.moveSpeed ?? this.baseMoveSpeed) * Math.min(1, magnitude);
                 const dirX = forwardX * normForward + rightX * normStrafe;
                 const dirZ = forwardZ * normForward + rightZ * normStrafe;
                 desiredVelX = dirX * moveSpeed;
@@ -221,6 +279,7 @@ export class Player {
             const resolved = this.resolveMovement(desiredVelX, desiredVelZ, delta);
             this.position.x = resolved.x;
             this.position.z = resolved.z;
+            this.recordInput(desiredVelX, desiredVelZ, delta);
         }
 
         if (this.isEthereal) {
@@ -274,16 +333,38 @@ export class Player {
             contactHeight: groundY
         });
 
+        this.decayCorrection(delta);
         this.world.updateLocalPlayer({
-            x: this.position.x,
+            x: this.position.x + this.correctionOffset.x,
             y: this.position.y,
-            z: this.position.z,
+            z: this.position.z + this.correctionOffset.z,
             heading: this.heading
         });
         this.updateAbilityCooldowns(now);
         this.tryAutoAbilities(now);
     }
 
+    recordInput(velocityX, velocityZ, delta) {
+        if (delta <= 0) {
+            return;
+        }
+        this.inputSequence += 1;
+        this.pendingInputs.push({ sequence: this.inputSequence, velocityX, velocityZ, delta });
+        if (this.pendingInputs.length > MAX_PENDING_INPUTS) {
+            this.pendingInputs.shift();
+        }
+    }
+
+    decayCorrection(delta) {
+        const factor = Math.exp(-CORRECTION_SMOOTHING_RATE * Math.max(0, delta));
+        this.correctionOffset.x *= factor;
+        this.correctionOffset.z *= factor;
+        if (Math.hypot(this.correctionOffset.x, this.correctionOffset.z) < 0.01) {
+            this.correctionOffset.x = 0;
+            this.correctionOffset.z = 0;
+        }
+    }
+
     resolveMovement(desiredVelX, desiredVelZ, delta) {
         const startX = this.position.x;
         const startZ = this.position.z;
@@ -367,6 +448,8 @@ export class Player {
             return;
         }
         const nearest = this.world.findNearestMob(this.position, Infinity);
+        // A locked target replaces the nearest mob; abilities that can't reach it simply wait.
+        const candidate = this.getLockedTarget() ?? nearest;
         const debugBase = {
             nearestMobId: nearest?.id ?? null,
             nearestDistance: nearest?.distance ?? null
@@ -418,7 +501,7 @@ export class Player {
                 debugInfo.abilityRange = range;
             }
 
-            const targetInRange = nearest && nearest.distance <= range ? nearest : null;
+            const targetInRange = candidate && candidate.distance <= range ? candidate : null;
             if (autoCast && targetInRange && !debugInfo.targetId) {
                 debugInfo.targetId = targetInRange.id;
                 debugInfo.targetDistance = targetInRange.distance;
@@ -436,17 +519,7 @@ export class Player {
                 continue;
             }
 
-            let fallbackCooldown = defaults.cooldown ?? 1.5;
-            if (defaults.scalesWithAttackSpeed) {
-                const attackSpeed = Math.max(0.1, this.stats?.attackSpeed ?? 1);
-                fallbackCooldown = fallbackCooldown / attackSpeed;
-            }
-
-            this.network.sendAbilityUse(ability.id, targetInRange.id);
-
-            ability.pending = true;
-            ability.available = false;
-            ability.cooldownExpiresAt = now + fallbackCooldown * 1000;
+            this.sendAbility(ability, targetInRange.id, now);
 
             if (!triggeredDebug) {
                 triggeredDebug = {
@@ -483,6 +556,102 @@ export class Player {
         this.debugInfo = debugInfo;
     }
 
+    sendAbility(ability, targetId, now) {
+        const defaults = getAbilityDefaults(ability.id) ?? {};
+        let fallbackCooldown = defaults.cooldown ?? 1.5;
+        if (defaults.scalesWithAttackSpeed) {
+            const attackSpeed = Math.max(0.1, this.stats?.attackSpeed ?? 1);
+            fallbackCooldown = fallbackCooldown / attackSpeed;
+        }
+
+        this.network.sendAbilityUse(ability.id, targetId);
+
+        ability.pending = true;
+        ability.available = false;
+        ability.cooldownExpiresAt = now + fallbackCooldown * 1000;
+    }
+
+    getAbilityForSlot(slot) {
+        for (const ability of this.abilities.values()) {
+            if (ability.slot === slot && ability.unlocked) {
+                return ability;
+            }
+        }
+        return null;
+    }
+
+    setTargetLock(mobId) {
+        this.targetLockId = mobId || null;
+        this.world.setTargetLock?.(this.targetLockId);
+    }
+
+    getLockedTarget() {
+        if (!this.targetLockId) {
+            return null;
+        }
+        const target = this.world.getMob?.(this.targetLockId, this.position);
+        return target?.isAlive ? target : null;
+    }
+
+    getSelectedTarget() {
+        const locked = this.getLockedTarget();
+        if (locked) {
+            return locked;
+        }
+        const target = this.world.getMob?.(this.world.highlightedMobId, this.position);
+        return target?.isAlive ? target : null;
+    }
+
+    castAbility(abilityId) {
+        const ability = this.abilities.get(abilityId);
+        if (!ability || !ability.unlocked || this.isEthereal) {
+            return false;
+        }
+        const name = ability.name ?? abilityId;
+        if (!ability.available || ability.pending) {
+            return false;
+        }
+        if (!this.network || typeof this.network.isOpen !== 'function' || !this.network.isOpen()) {
+            logger.warn('network', `Unable to cast ${name} while disconnected.`);
+            return false;
+        }
+
+        const target = this.getSelectedTarget();
+        if (!target) {
+            logger.info('combat', `${name}: no target selected.`);
+            return false;
+        }
+        const range = this.abilityRanges.get(abilityId) ?? ability.range ?? 6;
+        if (target.distance > range) {
+            logger.info('combat', `${name}: ${target.name ?? 'target'} is out of range (${target.distance.toFixed(1)}m / ${range.toFixed(1)}m).`);
+            return false;
+        }
+
+        this.sendAbility(ability, target.id, performance.now());
+        return true;
+    }
+
+    setAutoCast(abilityId, autoCast) {
+        const ability = this.abilities.get(abilityId);
+        if (ability) {
+            ability.autoCast = Boolean(autoCast);
+        }
+        this.castModes.set(abilityId, Boolean(autoCast));
+        saveStored(CAST_MODE_STORAGE_KEY, Object.fromEntries(this.castModes));
+    }
+
+    toggleAutoCast(abilityId) {
+        const ability = this.abilities.get(abilityId);
+        if (!ability) {
+            return null;
+        }
+        const autoCast = !ability.autoCast;
+        this.setAutoCast(abilityId, autoCast);
+        const keyHint = typeof ability.slot === 'number' ? ` (press ${ability.slot})` : '';
+        logger.info('combat', `${ability.name ?? abilityId} set to ${autoCast ? 'auto cast' : `manual cast${keyHint}`}.`);
+        return autoCast;
+    }
+
     setStats(stats = {}) {
         const attackSpeed = typeof stats.attackSpeed === 'number' ? stats.attackSpeed : (this.stats?.attackSpeed ?? 1);
         const unspent = typeof stats.unspentStatPoints === 'number' ? stats.unspentStatPoints : (this.stats?.unspentStatPoints ?? 0);
@@ -530,7 +699,8 @@ export class Player {
             heading: this.heading,
             velocityX: this.velocity.x,
             velocityY: this.verticalVelocity,
-            velocityZ: this.velocity.z
+            velocityZ: this.velocity.z,
+            sequence: this.inputSequence
         });
 
         this.lastSentTime = now;
@@ -542,27 +712,37 @@ export class Player {
         };
     }
 
-    applyAuthoritativeState(snapshot) {
+    /**
+     * teleport hard-sets the position and discards pending inputs, for moves such as a respawn
+     * that the client's predicted inputs have nothing to do with.
+     */
+    applyAuthoritativeState(snapshot, { teleport = false } = {}) {
         if (!snapshot) {
             return;
         }
-        this.position.x = snapshot.x ?? this.position.x;
-        this.position.y = typeof snapshot.y === 'number' ? snapshot.y : this.position.y;
-        this.position.z = snapshot.z ?? this.position.z;
-        if (typeof snapshot.heading === 'number') {
-            this.heading = snapshot.heading;
-            this.world.setCameraYaw?.(this.heading);
+        if (!teleport && typeof snapshot.lastInputSequence === 'number') {
+            this.reconcile(snapshot);
+        } else {
+            this.position.x = snapshot.x ?? this.position.x;
+            this.position.y = typeof snapshot.y === 'number' ? snapshot.y : this.position.y;
+            this.position.z = snapshot.z ?? this.position.z;
+            if (typeof snapshot.heading === 'number') {
+                this.heading = snapshot.heading;
+                this.world.setCameraYaw?.(this.heading);
+            }
+            this.pendingInputs = [];
+            this.correctionOffset = { x: 0, z: 0 };
+            this.lastSentSnapshot = {
+                x: this.position.x,
+                y: this.position.y,
+                z: this.position.z,
+                heading: this.heading
+            };
         }
-        this.lastSentSnapshot = {
-            x: this.position.x,
-            y: this.position.y,
-            z: this.position.z,
-            heading: this.heading
-        };
         this.world.updateLocalPlayer({
-            x: this.position.x,
+            x: this.position.x + this.correctionOffset.x,
             y: this.position.y,
-            z: this.position.z,
+            z: this.position.z + this.correctionOffset.z,
             heading: this.heading
         });
         const surfaceHeight = typeof this.world?.getGroundHeight === 'function'
@@ -588,6 +768,32 @@ export class Player {
         }
     }
 
+    reconcile(snapshot) {
+        const displayedX = this.position.x + this.correctionOffset.x;
+        const displayedZ = this.position.z + this.correctionOffset.z;
+
+        // Rewind to the server's position for the last acknowledged input and
+        // replay everything it hasn't seen yet. Heading and vertical motion stay
+        // client-owned; the server only constrains horizontal movement.
+        const acknowledged = snapshot.lastInputSequence;
+        this.pendingInputs = this.pendingInputs.filter(input => input.sequence > acknowledged);
+        this.position.x = snapshot.x ?? this.position.x;
+        this.position.z = snapshot.z ?? this.position.z;
+        for (const input of this.pendingInputs) {
+            const resolved = this.resolveMovement(input.velocityX, input.velocityZ, input.delta);
+            this.position.x = resolved.x;
+            this.position.z = resolved.z;
+        }
+
+        const errorX = displayedX - this.position.x;
+        const errorZ = displayedZ - this.position.z;
+        if (Math.hypot(errorX, errorZ) > CORRECTION_SNAP_DISTANCE) {
+            this.correctionOffset = { x: 0, z: 0 };
+        } else {
+            this.correctionOffset = { x: errorX, z: errorZ };
+        }
+    }
+
     setAbilitySnapshots(snapshots = []) {
         const now = performance.now();
         this.primaryAbilityId = null;
@@ -603,7 +809,7 @@ export class Player {
                 : (defaults.range ?? this.abilityRanges.get(id) ?? 6);
             this.abilityRanges.set(id, range);
 
-            const autoCast = snapshot.autoCast ?? defaults.autoCast ?? true;
+            const autoCast = this.castModes.get(id) ?? snapshot.autoCast ?? defaults.autoCast ?? true;
             const priority = typeof snapshot.priority === 'number'
                 ? snapshot.priority
                 : (typeof defaults.priority === 'number' ? defaults.priority : 1);
@@ -0,0 +1,49 @@
+// playerColors.js - stable per-player colours derived from the player id
+
+const SATURATION = 0.7;
+const LIGHTNESS = 0.6;
+// Keeps players off the mob red and the local player's green so they never read as either.
+const RESERVED_HUES = [[340, 20], [100, 170]];
+
+function hashString(value) {
+    // FNV-1a, enough to spread short connection ids across the hue wheel.
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function hslToHex(hue, saturation, lightness) {
+    const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+    const segment = hue / 60;
+    const x = chroma * (1 - Math.abs((segment % 2) - 1));
+    const [r, g, b] = segment < 1 ? [chroma, x, 0]
+        : segment < 2 ? [x, chroma, 0]
+            : segment < 3 ? [0, chroma, x]
+                : segment < 4 ? [0, x, chroma]
+                    : segment < 5 ? [x, 0, chroma]
+                        : [chroma, 0, x];
+    const m = lightness - chroma / 2;
+    return (Math.round((r + m) * 255) << 16) | (Math.round((g + m) * 255) << 8) | Math.round((b + m) * 255);
+}
+
+function isReservedHue(hue) {
+    return RESERVED_HUES.some(([start, end]) => (start <= end ? hue >= start && hue < end : hue >= start || hue < end));
+}
+
+/**
+ * The same id always yields the same colour, on every client.
+ */
+export function getPlayerColor(playerId) {
+    let hue = hashString(String(playerId ?? '')) % 360;
+    while (isReservedHue(hue)) {
+        hue = (hue + 37) % 360;
+    }
+    return hslToHex(hue, SATURATION, LIGHTNESS);
+}
+
+export function toCssColor(hex) {
+    return `#${hex.toString(16).padStart(6, '0')}`;
+}
@@ -0,0 +1,158 @@
+// roster.js - toggleable list of connected players with level, distance and direction
+
+import { getPlayerColor, toCssColor } from './playerColors.js';
+
+const REFRESH_MS = 250;
+
+export class RosterPanel {
+    constructor(world, player) {
+        this.world = world;
+        this.player = player;
+        this.players = new Map();
+        this.rows = new Map();
+        this.localLevel = null;
+        this.lastRefresh = 0;
+
+        this.panel = document.getElementById('rosterPanel');
+        this.list = document.getElementById('rosterList');
+        this.count = document.getElementById('rosterCount');
+
+        window.addEventListener('keydown', (evt) => {
+            if (this.player.controls.matches('toggleRoster', evt.code) && !evt.repeat) {
+                this.setVisible(!this.isVisible());
+            }
+        });
+    }
+
+    isVisible() {
+        return this.panel?.dataset.visible === 'true';
+    }
+
+    setVisible(visible) {
+        if (!this.panel) {
+            return;
+        }
+        this.panel.dataset.visible = visible ? 'true' : 'false';
+        this.lastRefresh = 0;
+    }
+
+    reset(snapshots = []) {
+        this.players.clear();
+        snapshots.forEach(snapshot => this.upsert(snapshot));
+        this.lastRefresh = 0;
+    }
+
+    upsert(snapshot) {
+        if (!snapshot?.playerId || snapshot.playerId === this.world.localPlayerId) {
+            return;
+        }
+        const existing = this.players.get(snapshot.playerId);
+        this.players.set(snapshot.playerId, {
+            name: snapshot.displayName ?? existing?.name ?? snapshot.playerId,
+            level: typeof snapshot.level === 'number' ? snapshot.level : (existing?.level ?? null),
+            x: snapshot.x ?? existing?.x ?? 0,
+            z: snapshot.z ?? existing?.z ?? 0
+        });
+        if (!existing) {
+            this.lastRefresh = 0;
+        }
+    }
+
+    remove(playerId) {
+        if (this.players.delete(playerId)) {
+            this.lastRefresh = 0;
+        }
+    }
+
+    setLocalLevel(level) {
+        this.localLevel = level;
+    }
+
+    update(now = performance.now()) {
+        if (now - this.lastRefresh < REFRESH_MS) {
+            return;
+        }
+        this.lastRefresh = now;
+        if (this.count) {
+            this.count.textContent = String(this.players.size + 1);
+        }
+        if (!this.isVisible() || !this.list) {
+            return;
+        }
+
+        const origin = this.world.localPlayer ?? { x: 0, z: 0 };
+        const yaw = this.world.cameraYaw ?? 0;
+        const entries = [{
+            id: this.world.localPlayerId ?? 'local',
+            name: 'You',
+            level: this.localLevel,
+            color: '#4bffa5',
+            distance: null
+        }];
+
+        for (const [id, info] of this.players) {
+            // The rendered mesh is interpolated, so it tracks closer to what the player sees.
+            const position = this.world.remotePlayers.get(id)?.mesh?.position ?? info;
+            const dx = position.x - origin.x;
+            const dz = position.z - origin.z;
+            entries.push({
+                id,
+                name: info.name,
+                level: info.level,
+                color: toCssColor(getPlayerColor(id)),
+                distance: Math.hypot(dx, dz),
+                // Screen-space rotation from the camera's forward, matching the minimap.
+                bearing: yaw - Math.atan2(dx, dz)
+            });
+        }
+        entries.sort((a, b) => (a.distance ?? -1) - (b.distance ?? -1));
+
+        const seen = new Set();
+        entries.forEach((entry, index) => {
+            seen.add(entry.id);
+            const row = this.rows.get(entry.id) ?? this.createRow(entry.id);
+            row.swatch.style.background = entry.color;
+            row.name.textContent = entry.name;
+            row.level.textContent = entry.level ? `Lv ${entry.level}` : '';
+            if (entry.distance === null) {
+                row.distance.textContent = '';
+                row.arrow.style.visibility = 'hidden';
+            } else {
+                row.distance.textContent = `${Math.round(entry.distance)} m`;
+                row.arrow.style.visibility = 'visible';
+                row.arrow.style.transform = `rotate(${entry.bearing}rad)`;
+            }
+            if (this.list.children[index] !== row.root) {
+                this.list.insertBefore(row.root, this.list.children[index] ?? null);
+            }
+        });
+
+        for (const [id, row] of this.rows) {
+            if (!seen.has(id)) {
+                row.root.remove();
+                this.rows.delete(id);
+            }
+        }
+    }
+
+    createRow(id) {
+        const root = document.createElement('li');
+        root.className = 'roster-row';
+        const swatch = document.createElement('span');
+        swatch.className = 'roster-swatch';
+        const name = document.createElement('span');
+        name.className = 'roster-name';
+        const level = document.createElement('span');
+        level.className = 'roster-level';
+        const distance = document.createElement('span');
+        distance.className = 'roster-distance';
+        const arrow = document.createElement('span');
+        arrow.className = 'roster-arrow';
+        arrow.textContent = '▲';
+        root.append(swatch, name, level, distance, arrow);
+
+        const row = { root, swatch, name, level, distance, arrow };
+        this.rows.set(id, row);
+        return row;
+    }
+}
@@ -0,0 +1,32 @@
+// storage.js - JSON values in web storage that never throw; failures go to the event log
+
+import { logger } from './eventLog.js';
+
+// Touching window.localStorage itself throws when storage is blocked, so it's only resolved inside the try.
+function resolveStorage(storage, session) {
+    return storage ?? (session ? window.sessionStorage : window.localStorage);
+}
+
+/**
+ * Reads and parses a stored value, or returns null when it's missing, unreadable or storage is blocked.
+ * Pass session: true for values that should only live as long as the tab.
+ */
+export function loadStored(key, { storage = null, session = false, category = 'system' } = {}) {
+    try {
+        const raw = resolveStorage(storage, session)?.getItem(key);
+        return raw ? JSON.parse(raw) : null;
+    } catch (err) {
+        logger.warn(category, `Ignoring unreadable saved data for ${key}.`, { error: String(err) });
+        return null;
+    }
+}
+
+export function saveStored(key, value, { storage = null, session = false, category = 'system' } = {}) {
+    try {
+        resolveStorage(storage, session)?.setItem(key, JSON.stringify(value));
+        return true;
+    } catch (err) {
+        logger.warn(category, `Unable to save ${key}.`, { error: String(err) });
+        return false;
+    }
+}
@@ -0,0 +1,135 @@
+// targeting.js - explicit target selection: tab cycling, click picking and the target frame
+import { logger } from './eventLog.js';
+
+export const TARGET_LOCK_RANGE = 40;
+const TAB_TARGET_HALF_ANGLE = Math.PI * 0.45;
+
+function wrapAngle(angle) {
+    let wrapped = angle % (Math.PI * 2);
+    if (wrapped > Math.PI) {
+        wrapped -= Math.PI * 2;
+    } else if (wrapped < -Math.PI) {
+        wrapped += Math.PI * 2;
+    }
+    return wrapped;
+}
+
+export class TargetingController {
+    constructor(world, player) {
+        this.world = world;
+        this.player = player;
+        this.frame = {
+            root: document.getElementById('targetFrame'),
+            name: document.getElementById('targetName'),
+            fill: document.getElementById('targetHealthFill'),
+            detail: document.getElementById('targetDetail')
+        };
+
+        window.addEventListener('keydown', (evt) => {
+            const controls = this.player.controls;
+            if (controls.matches('cycleTarget', evt.code)) {
+                // Tab would otherwise move focus out of the canvas.
+                evt.preventDefault();
+                if (!evt.repeat) {
+                    this.cycle(evt.shiftKey ? -1 : 1);
+                }
+            } else if (controls.matches('clearTarget', evt.code) && !evt.repeat) {
+                this.clear();
+            }
+        });
+
+        this.world.renderer?.domElement?.addEventListener('mousedown', (evt) => {
+            if (evt.button === 0) {
+                this.selectAt(evt.clientX, evt.clientY);
+            }
+        });
+    }
+
+    /**
+     * Living mobs within lock range and inside the camera's forward cone, best candidates first.
+     */
+    getCandidates() {
+        const position = this.player.position;
+        const yaw = this.world.cameraYaw;
+        const candidates = [];
+        for (const [id, mob] of this.world.mobs) {
+            if (!mob.isAlive) {
+                continue;
+            }
+            const dx = (mob.x ?? 0) - position.x;
+            const dz = (mob.z ?? 0) - position.z;
+            const distance = Math.hypot(dx, dz);
+            if (distance > TARGET_LOCK_RANGE) {
+                continue;
+            }
+            const angle = distance > 1e-3 ? Math.abs(wrapAngle(Math.atan2(dx, dz) - yaw)) : 0;
+            if (angle > TAB_TARGET_HALF_ANGLE) {
+                continue;
+            }
+            // Weigh how centred a mob is against how close it is, both normalised to 0..1.
+            const score = (angle / TAB_TARGET_HALF_ANGLE) * 0.6 + (distance / TARGET_LOCK_RANGE) * 0.4;
+            candidates.push({ id, score });
+        }
+        return candidates.sort((a, b) => a.score - b.score).map(candidate => candidate.id);
+    }
+
+    cycle(direction = 1) {
+        if (this.world.controlSuspended) {
+            return;
+        }
+        const candidates = this.getCandidates();
+        if (candidates.length === 0) {
+            logger.info('combat', 'No targets in front of you.');
+            return;
+        }
+        const currentIndex = candidates.indexOf(this.player.targetLockId);
+        const nextIndex = currentIndex === -1
+            ? (direction > 0 ? 0 : candidates.length - 1)
+            : (currentIndex + direction + candidates.length) % candidates.length;
+        this.player.setTargetLock(candidates[nextIndex]);
+    }
+
+    selectAt(clientX, clientY) {
+        if (this.world.controlSuspended) {
+            return false;
+        }
+        const mobId = this.world.pickMob(clientX, clientY);
+        if (!mobId) {
+            return false;
+        }
+        this.player.setTargetLock(mobId);
+        return true;
+    }
+
+    clear() {
+        this.player.setTargetLock(null);
+    }
+
+    update() {
+        const lockId = this.player.targetLockId;
+        if (lockId) {
+            const target = this.world.getMob(lockId, this.player.position);
+            if (!target || !target.isAlive || target.distance > TARGET_LOCK_RANGE) {
+                this.player.setTargetLock(null);
+            }
+        }
+        this.renderFrame();
+    }
+
+    renderFrame() {
+        const { root, name, fill, detail } = this.frame;
+        if (!root) {
+            return;
+        }
+        const target = this.player.getLockedTarget();
+        if (!target) {
+            root.dataset.visible = 'false';
+            return;
+        }
+        const health = Math.max(0, Math.min(1, target.healthFraction ?? 1));
+        root.dataset.visible = 'true';
+        if (name) name.textContent = target.name ?? 'Enemy';
+        if (fill) fill.style.width = `${(health * 100).toFixed(1)}%`;
+        if (detail) detail.textContent = `${Math.round(health * 100)}% · ${target.distance.toFixed(1)}m`;
+    }
+}
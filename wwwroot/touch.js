@@ -0,0 +1,205 @@
+// touch.js - on-screen joystick, drag-to-orbit camera and pinch zoom for touch screens
+
+const JOYSTICK_RADIUS = 56;
+const ORBIT_SENSITIVITY = 0.005;
+const PINCH_ZOOM_SCALE = 0.12;
+const TAP_MAX_MOVEMENT = 12;
+const TAP_MAX_DURATION_MS = 300;
+
+export class TouchControls {
+    constructor(world, player, interaction = null, targeting = null) {
+        this.world = world;
+        this.player = player;
+        this.interaction = interaction;
+        this.targeting = targeting;
+        this.enabled = false;
+        this.joystickTouchId = null;
+        this.joystickCenter = { x: 0, y: 0 };
+        this.cameraTouches = new Map();
+        this.pinchDistance = null;
+
+        this.joystick = document.getElementById('touchJoystick');
+        this.knob = document.getElementById('touchJoystickKnob');
+        this.jumpButton = document.getElementById('touchJump');
+        this.interactButton = document.getElementById('touchInteract');
+
+        // Enable on the first real touch rather than by user-agent sniffing, so
+        // touch laptops keep mouse controls until someone actually touches the screen.
+        window.addEventListener('touchstart', () => this.enable(), { passive: true, capture: true, once: true });
+        if (window.matchMedia?.('(pointer: coarse)').matches) {
+            this.enable();
+        }
+
+        this.bindJoystick();
+        this.bindButtons();
+        this.bindCamera();
+    }
+
+    enable() {
+        if (this.enabled) {
+            return;
+        }
+        this.enabled = true;
+        document.body.dataset.touch = 'true';
+        this.world.setTouchMode(true);
+    }
+
+    bindJoystick() {
+        if (!this.joystick) {
+            return;
+        }
+        this.joystick.addEventListener('touchstart', (evt) => {
+            evt.preventDefault();
+            if (this.joystickTouchId !== null) {
+                return;
+            }
+            const touch = evt.changedTouches[0];
+            const rect = this.joystick.getBoundingClientRect();
+            this.joystickTouchId = touch.identifier;
+            this.joystickCenter = { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+            this.updateJoystick(touch);
+        }, { passive: false });
+
+        this.joystick.addEventListener('touchmove', (evt) => {
+            evt.preventDefault();
+            const touch = this.findTouch(evt.changedTouches, this.joystickTouchId);
+            if (touch) {
+                this.updateJoystick(touch);
+            }
+        }, { passive: false });
+
+        const release = (evt) => {
+            if (this.findTouch(evt.changedTouches, this.joystickTouchId)) {
+                this.joystickTouchId = null;
+                this.player.setAnalogAxes('touch');
+                if (this.knob) {
+                    this.knob.style.transform = 'translate(-50%, -50%)';
+                }
+            }
+        };
+        this.joystick.addEventListener('touchend', release);
+        this.joystick.addEventListener('touchcancel', release);
+    }
+
+    updateJoystick(touch) {
+        let dx = touch.clientX - this.joystickCenter.x;
+        let dy = touch.clientY - this.joystickCenter.y;
+        const distance = Math.hypot(dx, dy);
+        if (distance > JOYSTICK_RADIUS) {
+            dx = (dx / distance) * JOYSTICK_RADIUS;
+            dy = (dy / distance) * JOYSTICK_RADIUS;
+        }
+        if (this.knob) {
+            this.knob.style.transform = `translate(calc(-50% + ${dx}px), calc(-50% + ${dy}px))`;
+        }
+        this.player.setAnalogAxes('touch', {
+            forward: -dy / JOYSTICK_RADIUS,
+            strafe: dx / JOYSTICK_RADIUS
+        });
+    }
+
+    bindButtons() {
+        this.jumpButton?.addEventListener('touchstart', (evt) => {
+            evt.preventDefault();
+            this.player.jumpRequested = true;
+        }, { passive: false });
+        this.jumpButton?.addEventListener('touchend', () => {
+            this.player.jumpRequested = false;
+        });
+        this.interactButton?.addEventListener('touchstart', (evt) => {
+            evt.preventDefault();
+            this.interaction?.interact(this.interaction.focused);
+        }, { passive: false });
+    }
+
+    bindCamera() {
+        const canvas = this.world.renderer?.domElement;
+        if (!canvas) {
+            return;
+        }
+
+        canvas.addEventListener('touchstart', (evt) => {
+            evt.preventDefault();
+            const now = performance.now();
+            Array.from(evt.changedTouches).forEach(touch => {
+                this.cameraTouches.set(touch.identifier, {
+                    x: touch.clientX,
+                    y: touch.clientY,
+                    startX: touch.clientX,
+                    startY: touch.clientY,
+                    startTime: now
+                });
+            });
+            this.pinchDistance = this.measurePinch();
+        }, { passive: false });
+
+        canvas.addEventListener('touchmove', (evt) => {
+            evt.preventDefault();
+            if (this.world.controlSuspended) {
+                return;
+            }
+            if (this.cameraTouches.size >= 2) {
+                Array.from(evt.changedTouches).forEach(touch => this.trackTouch(touch));
+                const distance = this.measurePinch();
+                if (distance !== null && this.pinchDistance !== null) {
+                    this.world.zoomCamera((this.pinchDistance - distance) * PINCH_ZOOM_SCALE);
+                }
+                this.pinchDistance = distance;
+                return;
+            }
+            Array.from(evt.changedTouches).forEach(touch => {
+                const tracked = this.cameraTouches.get(touch.identifier);
+                if (!tracked) {
+                    return;
+                }
+                const dx = touch.clientX - tracked.x;
+                const dy = touch.clientY - tracked.y;
+                this.trackTouch(touch);
+                this.world.rotateCamera(dx * ORBIT_SENSITIVITY, dy * ORBIT_SENSITIVITY);
+            });
+        }, { passive: false });
+
+        const release = (evt) => {
+            const now = performance.now();
+            Array.from(evt.changedTouches).forEach(touch => {
+                const tracked = this.cameraTouches.get(touch.identifier);
+                this.cameraTouches.delete(touch.identifier);
+                if (!tracked || evt.type === 'touchcancel' || this.pinchDistance !== null) {
+                    return;
+                }
+                const moved = Math.hypot(touch.clientX - tracked.startX, touch.clientY - tracked.startY);
+                if (moved <= TAP_MAX_MOVEMENT && now - tracked.startTime <= TAP_MAX_DURATION_MS) {
+                    if (!this.targeting?.selectAt(touch.clientX, touch.clientY)) {
+                        this.interaction?.interactAt(touch.clientX, touch.clientY);
+                    }
+                }
+            });
+            this.pinchDistance = this.measurePinch();
+        };
+        canvas.addEventListener('touchend', release);
+        canvas.addEventListener('touchcancel', release);
+    }
+
+    trackTouch(touch) {
+        const tracked = this.cameraTouches.get(touch.identifier);
+        if (tracked) {
+            tracked.x = touch.clientX;
+            tracked.y = touch.clientY;
+        }
+    }
+
+    measurePinch() {
+        if (this.cameraTouches.size < 2) {
+            return null;
+        }
+        const [a, b] = this.cameraTouches.values();
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    findTouch(touchList, identifier) {
+        if (identifier === null) {
+            return null;
+        }
+        return Array.from(touchList).find(touch => touch.identifier === identifier) ?? null;
+    }
+}
@@ -1,6 +1,15 @@
 // world.js - 3D world rendering using Three.js
 
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.161.0/build/three.module.js';
+import { createEnvironmentMesh, applyEnvironmentState, disposeEnvironmentMesh } from './environment.js';
+import { SnapshotBuffer, INTERPOLATION_DELAY_MS } from './interpolation.js';
+import { createNameplate, updateNameplate, fadeNameplate, disposeNameplate, createChatBubble } from './nameplates.js';
+import { CombatTextPool } from './combatText.js';
+import { createPlayerAvatar, triggerHumanoidAttack, updateHumanoidAnimation } from './avatars.js';
+import { resolveMobAppearance, createMobAppearanceMesh } from './mobAppearance.js';
+import { AttackEffects } from './attackEffects.js';
+import { ParticleSystem } from './particles.js';
+import { getPlayerColor, toCssColor } from './playerColors.js';
 
 const DEFAULT_WALK_SIZE = 10;
 const DEFAULT_TILE_SIZE = 40; // base horizontal span per cell (already scaled up)
@@ -8,27 +17,55 @@ const DEFAULT_HEIGHT_STEP = DEFAULT_TILE_SIZE * 0.5; // elevation delta between
 const DEFAULT_MIN_WALK_DEPTH = -4;
 const DEFAULT_MAX_WALK_DEPTH = 5;
 export const PLAYER_HEIGHT_OFFSET = 1.4;
-const MOB_HEIGHT_OFFSET = 1.2;
-const ATTACK_HEIGHT = 0.2;
 
 const MOB_FLASH_DURATION_MS = 250;
+const MOB_DISSOLVE_MS = 600;
+const HIT_SPARK_HEIGHT = 1.2;
+const PLAYER_NAMEPLATE_HEIGHT = 2.6;
+const CHAT_BUBBLE_HEIGHT = 3.0;
+const CHAT_BUBBLE_MS = 6000;
+const CHAT_BUBBLE_FADE_MS = 600;
+const MOB_NAMEPLATE_HEIGHT = 2.7;
+const AVATAR_AIM_HEIGHT = 1.2;
+const ABILITY_AIM_DURATION_MS = 1500;
 
 function clamp(value, min, max) {
     return Math.min(max, Math.max(min, value));
 }
 
+function disposeObject3D(root) {
+    root.traverse(obj => {
+        if (obj.geometry) obj.geometry.dispose?.();
+        if (obj.material) {
+            if (Array.isArray(obj.material)) {
+                obj.material.forEach(mat => mat.dispose?.());
+            } else {
+                obj.material.dispose?.();
+            }
+        }
+    });
+}
+
+function chunkKey(x, z) {
+    return `${x},${z}`;
+}
+
 export class World {
     constructor() {
         this.localPlayerId = null;
         this.localPlayer = { x: 0, y: PLAYER_HEIGHT_OFFSET, z: 0, heading: 0 };
         this.remotePlayers = new Map();
         this.mobs = new Map();
-        this.attacks = new Map();
         this.mobFlashTimers = new Map();
+        this.chatBubbles = new Map();
+        this.environmentObjects = new Map();
+        this.chunkEnvironment = new Map();
         this.highlightedMobId = null;
+        this.targetLockId = null;
         this.debugMode = false;
         this.debugInfo = null;
         this.timeOfDay = 0;
+        this.lastRenderTime = null;
 
         this.scene = new THREE.Scene();
         this.scene.background = new THREE.Color(0x0f1118);
@@ -63,6 +100,7 @@ export class World {
         this.pointerLocked = false;
         this.controlSuspended = false;
         this.pointerLockDesired = true;
+        this.touchMode = false;
 
         this.walkSize = DEFAULT_WALK_SIZE;
         this.tileSize = DEFAULT_TILE_SIZE;
@@ -75,6 +113,9 @@ export class World {
         this.walkMesh = this.buildTerrainMesh();
         this.scene.add(this.walkMesh);
 
+        this.chunkSize = null;
+        this.terrainChunks = new Map();
+
         this.ambientLight = new THREE.HemisphereLight(0x9bbcff, 0x1a1120, 0.85);
         this.scene.add(this.ambientLight);
 
@@ -97,6 +138,22 @@ export class World {
         this.highlightMesh.visible = false;
         this.scene.add(this.highlightMesh);
 
+        this.targetLockMesh = this.createHighlightMesh(0xff5d73);
+        this.targetLockMesh.visible = false;
+        this.scene.add(this.targetLockMesh);
+
+        this.interactionFocus = { id: null, pending: false };
+        this.interactionMesh = this.createHighlightMesh(0x7fe8ff);
+        this.interactionMesh.visible = false;
+        this.scene.add(this.interactionMesh);
+        this.raycaster = new THREE.Raycaster();
+        this.pointerNdc = new THREE.Vector2();
+
+        this.combatText = new CombatTextPool(this.scene);
+        this.attackEffects = new AttackEffects(this.scene, (x, z) => this.getGroundHeight(x, z));
+        this.particles = new ParticleSystem(this.scene);
+        this.etherealEmitter = null;
+
         this.debugHelpers = this.createDebugHelpers();
 
         window.addEventListener('resize', () => this.handleResize());
@@ -110,6 +167,7 @@ export class World {
         this.renderer.setSize(width, height);
         this.camera.aspect = width / height;
         this.camera.updateProjectionMatrix();
+        this.particles.setViewportHeight(height);
     }
 
     initCameraControls() {
@@ -119,7 +177,7 @@ export class World {
         }
 
         canvas.addEventListener('click', () => {
-            if (this.controlSuspended) {
+            if (this.controlSuspended || this.touchMode) {
                 return;
             }
             this.pointerLockDesired = true;
@@ -136,16 +194,10 @@ export class World {
         });
 
         document.addEventListener('mousemove', (event) => {
-            if (!this.pointerLocked || this.controlSuspended) {
+            if (!this.pointerLocked) {
                 return;
             }
-            const yawDelta = (event.movementX ?? 0) * 0.0025;
-            const pitchDelta = (event.movementY ?? 0) * 0.0025;
-            this.cameraYaw -= yawDelta;
-            this.cameraPitch = clamp(this.cameraPitch - pitchDelta, -1.3, 0.35);
-            if (typeof this.headingListener === 'function') {
-                this.headingListener(this.cameraYaw);
-            }
+            this.rotateCamera((event.movementX ?? 0) * 0.0025, (event.movementY ?? 0) * 0.0025);
         });
 
         canvas.addEventListener('wheel', (event) => {
@@ -153,11 +205,35 @@ export class World {
             if (this.controlSuspended) {
                 return;
             }
-            const delta = (event.deltaY ?? 0) * 0.05;
-            this.cameraDistance = clamp(this.cameraDistance + delta, this.minCameraDistance, this.maxCameraDistance);
+            this.zoomCamera((event.deltaY ?? 0) * 0.05);
         }, { passive: false });
     }
 
+    zoomCamera(delta) {
+        this.cameraDistance = clamp(this.cameraDistance + delta, this.minCameraDistance, this.maxCameraDistance);
+    }
+
+    setTouchMode(enabled) {
+        this.touchMode = Boolean(enabled);
+        if (this.touchMode) {
+            this.pointerLockDesired = false;
+            if (document.pointerLockElement === this.renderer?.domElement) {
+                document.exitPointerLock?.();
+            }
+        }
+    }
+
+    rotateCamera(yawDelta, pitchDelta) {
+        if (this.controlSuspended) {
+            return;
+        }
+        this.cameraYaw -= yawDelta;
+        this.cameraPitch = clamp(this.cameraPitch - pitchDelta, -1.3, 0.35);
+        if (typeof this.headingListener === 'function') {
+            this.headingListener(this.cameraYaw);
+        }
+    }
+
     setHeadingListener(listener) {
         this.headingListener = listener;
     }
@@ -244,11 +320,12 @@ export class World {
             }
         }
         this.walkMesh = this.buildTerrainMesh();
+        this.walkMesh.visible = this.terrainChunks.size === 0;
         this.scene.add(this.walkMesh);
     }
 
     requestPointerLockIfPossible() {
-        if (this.controlSuspended) {
+        if (this.controlSuspended || this.touchMode) {
             return;
         }
         const canvas = this.renderer?.domElement;
@@ -322,7 +399,10 @@ export class World {
         }));
 
         this.refreshTerrainMesh();
+        this.refreshEntityHeights();
+    }
 
+    refreshEntityHeights() {
         if (this.localPlayer) {
             this.updateLocalPlayer(this.localPlayer);
         }
@@ -339,88 +419,235 @@ export class World {
 
         for (const entry of this.mobs.values()) {
             if (entry?.mesh) {
-                const x = entry.x ?? entry.mesh.position.x;
-                const z = entry.z ?? entry.mesh.position.z;
-                const y = this.getGroundHeight(x, z) + MOB_HEIGHT_OFFSET;
-                entry.mesh.position.y = y;
+                const { x, z } = entry.mesh.position;
+                entry.mesh.position.y = this.getGroundHeight(x, z);
             }
         }
 
-        for (const attack of this.attacks.values()) {
-            if (attack?.mesh && attack.mesh.visible) {
-                const { x, z } = attack.mesh.position;
-                attack.mesh.position.y = this.getGroundHeight(x, z) + ATTACK_HEIGHT;
-            }
+        for (const entry of this.environmentObjects.values()) {
+            entry.mesh.position.y = this.getGroundHeight(entry.x, entry.z);
         }
     }
 
-    createPlayerMesh(baseColor) {
-        const group = new THREE.Group();
+    loadTerrainChunk(chunk) {
+        const vertices = Array.isArray(chunk?.vertices) ? chunk.vertices : [];
+        const size = this.chunkSize;
+        const resolution = Math.round(Math.sqrt(vertices.length)) - 1;
+        if (!size || resolution < 1 || (resolution + 1) * (resolution + 1) !== vertices.length) {
+            return false;
+        }
 
-        const pedestalGeometry = new THREE.CylinderGeometry(0.9, 0.9, 0.3, 18);
-        const pedestalMaterial = new THREE.MeshStandardMaterial({ color: 0x1c2230, metalness: 0.1, roughness: 0.85 });
-        const pedestal = new THREE.Mesh(pedestalGeometry, pedestalMaterial);
-        pedestal.castShadow = true;
-        pedestal.receiveShadow = true;
-        pedestal.position.y = 0.15;
-        group.add(pedestal);
+        const key = chunkKey(chunk.x, chunk.z);
+        const existing = this.terrainChunks.get(key);
+        if (existing) {
+            this.disposeTerrainChunk(existing);
+        }
 
-        const bodyGeometry = new THREE.CylinderGeometry(0.6, 0.8, 2.2, 16);
-        const bodyMaterial = new THREE.MeshStandardMaterial({ color: baseColor, metalness: 0.25, roughness: 0.35 });
-        const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-        body.position.y = 1.4;
-        body.castShadow = true;
-        group.add(body);
+        const perAxis = resolution + 1;
+        const heights = new Float32Array(perAxis * perAxis);
+        const originX = chunk.x * size;
+        const originZ = chunk.z * size;
+        const spacing = size / resolution;
+        vertices.forEach(vertex => {
+            const vx = Math.round(((vertex.x ?? 0) - originX) / spacing);
+            const vz = Math.round(((vertex.z ?? 0) - originZ) / spacing);
+            if (vx >= 0 && vx < perAxis && vz >= 0 && vz < perAxis) {
+                heights[vz * perAxis + vx] = Number.isFinite(vertex.y) ? vertex.y : 0;
+            }
+        });
 
-        const headGeometry = new THREE.SphereGeometry(0.55, 18, 16);
-        const headMaterial = new THREE.MeshStandardMaterial({ color: 0xf3f7ff, metalness: 0.05, roughness: 0.4 });
-        const head = new THREE.Mesh(headGeometry, headMaterial);
-        head.position.y = 2.5;
-        head.castShadow = true;
-        group.add(head);
+        const entry = { x: chunk.x, z: chunk.z, key, resolution, spacing, originX, originZ, heights, mesh: null };
+        this.stitchChunkEdges(entry);
+        this.terrainChunks.set(key, entry);
+        entry.mesh = this.buildChunkMesh(entry);
+        this.scene.add(entry.mesh);
+        return true;
+    }
 
-        return group;
+    stitchChunkEdges(entry) {
+        const perAxis = entry.resolution + 1;
+        const neighbors = [
+            { dx: -1, dz: 0 },
+            { dx: 1, dz: 0 },
+            { dx: 0, dz: -1 },
+            { dx: 0, dz: 1 }
+        ];
+        neighbors.forEach(({ dx, dz }) => {
+            const neighbor = this.terrainChunks.get(chunkKey(entry.x + dx, entry.z + dz));
+            if (!neighbor || neighbor.resolution !== entry.resolution) {
+                return;
+            }
+            for (let i = 0; i < perAxis; i++) {
+                let own;
+                let other;
+                if (dx === -1) {
+                    own = i * perAxis;
+                    other = i * perAxis + entry.resolution;
+                } else if (dx === 1) {
+                    own = i * perAxis + entry.resolution;
+                    other = i * perAxis;
+                } else if (dz === -1) {
+                    own = i;
+                    other = entry.resolution * perAxis + i;
+                } else {
+                    own = entry.resolution * perAxis + i;
+                    other = i;
+                }
+                entry.heights[own] = neighbor.heights[other];
+            }
+        });
     }
 
-    createMobMesh(color = 0xf26c6c) {
-        const group = new THREE.Group();
+    buildChunkMesh(entry) {
+        const { resolution, spacing, originX, originZ, heights } = entry;
+        const perAxis = resolution + 1;
+        const positions = new Float32Array(perAxis * perAxis * 3);
+        const colors = new Float32Array(perAxis * perAxis * 3);
+        const uvs = new Float32Array(perAxis * perAxis * 2);
+        const indices = [];
+        const color = new THREE.Color();
+        const minLevel = this.minDepth ?? DEFAULT_MIN_WALK_DEPTH;
+        const maxLevel = this.maxDepth ?? DEFAULT_MAX_WALK_DEPTH;
+        const levelSpan = Math.max(maxLevel - minLevel, 1);
+        const heightStep = this.heightStep || DEFAULT_HEIGHT_STEP;
+
+        for (let vz = 0; vz < perAxis; vz++) {
+            for (let vx = 0; vx < perAxis; vx++) {
+                const index = vz * perAxis + vx;
+                const height = heights[index];
+                positions[index * 3] = originX + vx * spacing;
+                positions[index * 3 + 1] = height;
+                positions[index * 3 + 2] = originZ + vz * spacing;
+
+                const level = clamp(height / heightStep, minLevel, maxLevel);
+                const t = (level - minLevel) / levelSpan;
+                color.setHSL(clamp(0.55 - t * 0.18, 0.38, 0.68), 0.5, clamp(0.25 + t * 0.35, 0.2, 0.65));
+                colors[index * 3] = color.r;
+                colors[index * 3 + 1] = color.g;
+                colors[index * 3 + 2] = color.b;
+
+                uvs[index * 2] = vx / resolution;
+                uvs[index * 2 + 1] = vz / resolution;
+            }
+        }
+
+        for (let z = 0; z < resolution; z++) {
+            for (let x = 0; x < resolution; x++) {
+                const topLeft = z * perAxis + x;
+                const topRight = topLeft + 1;
+                const bottomLeft = (z + 1) * perAxis + x;
+                const bottomRight = bottomLeft + 1;
+
+                indices.push(topLeft, bottomLeft, topRight);
+                indices.push(topRight, bottomLeft, bottomRight);
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+        geometry.setIndex(indices);
+        geometry.setAttribute('normal', new THREE.BufferAttribute(new Float32Array(perAxis * perAxis * 3), 3));
+        this.writeChunkNormals(entry, geometry);
+        geometry.computeBoundingSphere();
+
+        const material = new THREE.MeshStandardMaterial({
+            vertexColors: true,
+            metalness: 0.12,
+            roughness: 0.82,
+            flatShading: false
+        });
 
-        const baseGeometry = new THREE.CylinderGeometry(0.8, 0.8, 0.25, 14);
-        const baseMaterial = new THREE.MeshStandardMaterial({ color: 0x2a1622, roughness: 0.9, metalness: 0.05 });
-        const base = new THREE.Mesh(baseGeometry, baseMaterial);
-        base.position.y = 0.12;
-        base.receiveShadow = true;
-        base.castShadow = true;
-        group.add(base);
-
-        const bodyGeometry = new THREE.ConeGeometry(0.85, 1.8, 14);
-        const bodyMaterial = new THREE.MeshStandardMaterial({ color, flatShading: true, metalness: 0.2, roughness: 0.5 });
-        const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-        body.position.y = 1.4;
-        body.castShadow = true;
-        group.add(body);
-
-        const eyeGeometry = new THREE.SphereGeometry(0.25, 12, 10);
-        const eyeMaterial = new THREE.MeshStandardMaterial({ color: 0xffefef, metalness: 0.1, roughness: 0.4 });
-        const eye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-        eye.position.set(0, 1.8, 0.55);
-        group.add(eye);
-
-        return group;
-    }
-
-    createAttackMesh(radius = 1, color = 0xffc478) {
-        const geometry = new THREE.RingGeometry(radius * 0.6, radius, 32);
-        const material = new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.65, side: THREE.DoubleSide });
         const mesh = new THREE.Mesh(geometry, material);
-        mesh.rotation.x = -Math.PI / 2;
-        mesh.position.y = ATTACK_HEIGHT;
+        mesh.castShadow = false;
+        mesh.receiveShadow = true;
+        mesh.name = `terrain-${entry.key}`;
         return mesh;
     }
 
-    createHighlightMesh() {
+    writeChunkNormals(entry, geometry = entry.mesh?.geometry) {
+        const normals = geometry?.attributes?.normal;
+        if (!normals) {
+            return;
+        }
+        // Central differences over world-space heights so normals match across chunk seams.
+        const { resolution, spacing, originX, originZ } = entry;
+        const perAxis = resolution + 1;
+        const normal = new THREE.Vector3();
+        for (let vz = 0; vz < perAxis; vz++) {
+            for (let vx = 0; vx < perAxis; vx++) {
+                const x = originX + vx * spacing;
+                const z = originZ + vz * spacing;
+                const left = this.getGroundHeight(x - spacing, z);
+                const right = this.getGroundHeight(x + spacing, z);
+                const back = this.getGroundHeight(x, z - spacing);
+                const front = this.getGroundHeight(x, z + spacing);
+                normal.set(left - right, spacing * 2, back - front).normalize();
+                normals.setXYZ(vz * perAxis + vx, normal.x, normal.y, normal.z);
+            }
+        }
+        normals.needsUpdate = true;
+    }
+
+    unloadTerrainChunk(key) {
+        const entry = this.terrainChunks.get(key);
+        if (!entry) {
+            return;
+        }
+        this.disposeTerrainChunk(entry);
+        this.terrainChunks.delete(key);
+        if (this.terrainChunks.size === 0 && this.walkMesh) {
+            this.walkMesh.visible = true;
+        }
+    }
+
+    disposeTerrainChunk(entry) {
+        if (!entry?.mesh) {
+            return;
+        }
+        this.scene.remove(entry.mesh);
+        entry.mesh.geometry?.dispose?.();
+        entry.mesh.material?.dispose?.();
+        entry.mesh = null;
+    }
+
+    unloadChunk(key) {
+        this.unloadTerrainChunk(key);
+        this.unloadChunkEnvironment(key);
+        for (const [mobId, entry] of Array.from(this.mobs)) {
+            if (entry.chunkKey === key) {
+                this.removeMob(mobId);
+            }
+        }
+    }
+
+    getLoadedChunkCoords() {
+        const keys = new Set([...this.terrainChunks.keys(), ...this.chunkEnvironment.keys()]);
+        return Array.from(keys, key => {
+            const [x, z] = key.split(',').map(Number);
+            return { key, x, z };
+        });
+    }
+
+    getChunkCoords(x, z) {
+        if (!this.chunkSize) {
+            return null;
+        }
+        return { x: Math.floor(x / this.chunkSize), z: Math.floor(z / this.chunkSize) };
+    }
+
+    createPlayerMesh(baseColor) {
+        return createPlayerAvatar({ trimColor: baseColor });
+    }
+
+    createMobMesh(appearance) {
+        return createMobAppearanceMesh(appearance);
+    }
+
+    createHighlightMesh(color = 0xf8c550) {
         const geometry = new THREE.RingGeometry(1.1, 1.3, 32);
-        const material = new THREE.MeshBasicMaterial({ color: 0xf8c550, transparent: true, opacity: 0.85, side: THREE.DoubleSide });
+        const material = new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.85, side: THREE.DoubleSide });
         const mesh = new THREE.Mesh(geometry, material);
         mesh.rotation.x = -Math.PI / 2;
         mesh.position.y = 0.12;
@@ -492,14 +719,26 @@ export class World {
         }
 
         let entry = this.remotePlayers.get(snapshot.playerId);
+        const isNew = !entry;
         if (!entry) {
-            const mesh = this.createPlayerMesh(0x4695ff);
+            const color = getPlayerColor(snapshot.playerId);
+            const mesh = this.createPlayerMesh(color);
             this.scene.add(mesh);
-            entry = { mesh, name: snapshot.displayName ?? snapshot.playerId, heightOffset: 0 };
+            const nameplate = createNameplate(PLAYER_NAMEPLATE_HEIGHT);
+            mesh.add(nameplate.sprite);
+            entry = { mesh, nameplate, name: snapshot.displayName ?? snapshot.playerId, color, level: null, heightOffset: 0, buffer: new SnapshotBuffer() };
             this.remotePlayers.set(snapshot.playerId, entry);
         }
 
         entry.name = snapshot.displayName ?? snapshot.playerId;
+        if (typeof snapshot.level === 'number') {
+            entry.level = snapshot.level;
+        }
+        updateNameplate(entry.nameplate, {
+            name: entry.level ? `${entry.name} · Lv ${entry.level}` : entry.name,
+            style: 'player',
+            color: toCssColor(entry.color)
+        });
         entry.mesh.visible = true;
         const x = snapshot.x ?? 0;
         const z = snapshot.z ?? 0;
@@ -508,58 +747,328 @@ export class World {
         const contactHeight = surfaceY + PLAYER_HEIGHT_OFFSET;
         const serverY = typeof snapshot.y === 'number' ? snapshot.y : null;
         const resolvedY = serverY !== null ? Math.max(contactHeight, serverY) : contactHeight;
-        entry.heightOffset = resolvedY - contactHeight;
-        entry.mesh.position.set(x, resolvedY - PLAYER_HEIGHT_OFFSET, z);
-        entry.mesh.rotation.y = heading;
+        entry.buffer.push(performance.now(), { x, z, heading, offset: resolvedY - contactHeight });
+        if (isNew) {
+            this.applyRemotePlayerPose(entry, { x, z, heading, offset: resolvedY - contactHeight });
+        }
+    }
+
+    applyRemotePlayerPose(entry, pose) {
+        const offset = Math.max(0, pose.offset);
+        const contactHeight = this.getGroundHeight(pose.x, pose.z) + PLAYER_HEIGHT_OFFSET;
+        entry.heightOffset = offset;
+        entry.mesh.position.set(pose.x, contactHeight + offset - PLAYER_HEIGHT_OFFSET, pose.z);
+        entry.mesh.rotation.y = pose.heading;
+    }
+
+    applyMobPose(entry, pose) {
+        entry.mesh.position.set(pose.x, this.getGroundHeight(pose.x, pose.z), pose.z);
+        entry.mesh.rotation.y = pose.heading;
+    }
+
+    updateInterpolatedEntities(now) {
+        const renderTime = now - INTERPOLATION_DELAY_MS;
+        for (const entry of this.remotePlayers.values()) {
+            const pose = entry.buffer?.sample(renderTime);
+            if (pose) {
+                this.applyRemotePlayerPose(entry, pose);
+            }
+        }
+        for (const entry of this.mobs.values()) {
+            const pose = entry.isAlive ? entry.buffer?.sample(renderTime) : null;
+            if (pose) {
+                this.applyMobPose(entry, pose);
+            }
+        }
     }
 
     removeRemotePlayer(playerId) {
+        this.removeChatBubble(playerId);
         const entry = this.remotePlayers.get(playerId);
         if (entry) {
+            disposeNameplate(entry.nameplate);
             this.scene.remove(entry.mesh);
-            entry.mesh.traverse(obj => {
-                if (obj.geometry) obj.geometry.dispose?.();
-                if (obj.material) {
-                    if (Array.isArray(obj.material)) {
-                        obj.material.forEach(mat => mat.dispose?.());
-                    } else {
-                        obj.material.dispose?.();
-                    }
-                }
-            });
+            disposeObject3D(entry.mesh);
         }
         this.remotePlayers.delete(playerId);
     }
 
-    ingestChunks(chunks = []) {
+    /**
+     * One bubble per speaker; a new message replaces the old one and restarts its timer.
+     */
+    showChatBubble(playerId, text) {
+        const mesh = playerId === this.localPlayerId ? this.localPlayerMesh : this.remotePlayers.get(playerId)?.mesh;
+        if (!mesh || !text) {
+            return;
+        }
+        this.removeChatBubble(playerId);
+        const bubble = createChatBubble(text, CHAT_BUBBLE_HEIGHT);
+        mesh.add(bubble.sprite);
+        this.chatBubbles.set(playerId, { bubble, expiresAt: performance.now() + CHAT_BUBBLE_MS });
+    }
+
+    removeChatBubble(playerId) {
+        const entry = this.chatBubbles.get(playerId);
+        if (entry) {
+            disposeNameplate(entry.bubble);
+            this.chatBubbles.delete(playerId);
+        }
+    }
+
+    updateChatBubbles(now) {
+        for (const [playerId, entry] of this.chatBubbles) {
+            const remaining = entry.expiresAt - now;
+            if (remaining <= 0) {
+                this.removeChatBubble(playerId);
+                continue;
+            }
+            entry.bubble.sprite.material.opacity = Math.min(1, remaining / CHAT_BUBBLE_FADE_MS);
+        }
+    }
+
+    ingestChunks(chunks = [], chunkSize = null) {
+        if (typeof chunkSize === 'number' && chunkSize > 0 && chunkSize !== this.chunkSize) {
+            for (const key of Array.from(this.terrainChunks.keys())) {
+                this.unloadTerrainChunk(key);
+            }
+            this.chunkSize = chunkSize;
+        }
+
         const seenMobIds = new Set();
+        const seenChunkKeys = new Set();
+        const loadedKeys = [];
         chunks.forEach(chunk => {
+            const key = typeof chunk.x === 'number' && typeof chunk.z === 'number' ? chunkKey(chunk.x, chunk.z) : null;
             (chunk.mobs ?? []).forEach(mob => {
                 this.updateMob(mob);
+                const entry = this.mobs.get(mob.id);
+                if (entry) {
+                    // The server lists mobs under the chunk they spawned in, wherever they have wandered.
+                    entry.homeChunkKey = key;
+                }
                 seenMobIds.add(mob.id);
             });
+
+            if (key) {
+                seenChunkKeys.add(key);
+                if (this.loadTerrainChunk(chunk)) {
+                    loadedKeys.push(key);
+                }
+                this.syncChunkEnvironment(key, chunk.environmentObjects ?? []);
+            }
         });
 
-        for (const mobId of this.mobs.keys()) {
-            if (!seenMobIds.has(mobId)) {
-                const entry = this.mobs.get(mobId);
+        for (const [mobId, entry] of Array.from(this.mobs)) {
+            // Chunks in the response are authoritative for their mobs; retained chunks keep theirs.
+            if (!seenMobIds.has(mobId) && (!entry.homeChunkKey || seenChunkKeys.has(entry.homeChunkKey))) {
+                this.removeMob(mobId);
+            }
+        }
+
+        if (loadedKeys.length > 0) {
+            // Neighbours of freshly loaded chunks need their edge normals recomputed.
+            const touched = new Set();
+            loadedKeys.forEach(key => {
+                const entry = this.terrainChunks.get(key);
+                for (let dz = -1; dz <= 1; dz++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        touched.add(chunkKey(entry.x + dx, entry.z + dz));
+                    }
+                }
+            });
+            touched.forEach(key => {
+                const entry = this.terrainChunks.get(key);
                 if (entry?.mesh) {
-                    this.scene.remove(entry.mesh);
-                    entry.mesh.traverse(obj => {
-                        if (obj.geometry) obj.geometry.dispose?.();
-                        if (obj.material) {
-                            if (Array.isArray(obj.material)) {
-                                obj.material.forEach(mat => mat.dispose?.());
-                            } else {
-                                obj.material.dispose?.();
-                            }
-                        }
-                    });
+                    this.writeChunkNormals(entry);
                 }
-                this.mobs.delete(mobId);
-                this.mobFlashTimers.delete(mobId);
+            });
+            if (this.walkMesh) {
+                this.walkMesh.visible = false;
+            }
+            this.refreshEntityHeights();
+        }
+    }
+
+    syncChunkEnvironment(key, objects) {
+        const previousIds = this.chunkEnvironment.get(key) ?? new Set();
+        const currentIds = new Set();
+        objects.forEach(obj => {
+            if (!obj?.id) {
+                return;
+            }
+            this.upsertEnvironmentObject(obj, key);
+            currentIds.add(obj.id);
+        });
+
+        for (const id of previousIds) {
+            if (!currentIds.has(id)) {
+                this.removeEnvironmentObject(id);
+            }
+        }
+        this.chunkEnvironment.set(key, currentIds);
+    }
+
+    unloadChunkEnvironment(key) {
+        const ids = this.chunkEnvironment.get(key);
+        if (ids) {
+            for (const id of Array.from(ids)) {
+                this.removeEnvironmentObject(id);
+            }
+        }
+        this.chunkEnvironment.delete(key);
+    }
+
+    applyEnvironmentUpdate(obj) {
+        if (!obj || !obj.id) {
+            return;
+        }
+        if (obj.removed === true) {
+            this.removeEnvironmentObject(obj.id);
+            return;
+        }
+
+        const key = typeof obj.chunkX === 'number' && typeof obj.chunkZ === 'number'
+            ? chunkKey(obj.chunkX, obj.chunkZ)
+            : (this.environmentObjects.get(obj.id)?.chunkKey ?? null);
+        if (!key || (!this.chunkEnvironment.has(key) && !this.environmentObjects.has(obj.id))) {
+            // Updates for chunks we have not loaded are ignored; the next chunk response carries them.
+            return;
+        }
+        this.upsertEnvironmentObject(obj, key);
+    }
+
+    upsertEnvironmentObject(obj, key) {
+        const type = (obj.type ?? 'unknown').toLowerCase();
+        let entry = this.environmentObjects.get(obj.id);
+        if (entry && entry.type !== type) {
+            this.removeEnvironmentObject(obj.id);
+            entry = null;
+        }
+        if (!entry) {
+            const mesh = createEnvironmentMesh(type);
+            mesh.userData.environmentId = obj.id;
+            this.scene.add(mesh);
+            entry = { mesh, type, chunkKey: key };
+            this.environmentObjects.set(obj.id, entry);
+        }
+
+        if (entry.chunkKey !== key) {
+            this.chunkEnvironment.get(entry.chunkKey)?.delete(obj.id);
+            entry.chunkKey = key;
+        }
+        if (!this.chunkEnvironment.has(key)) {
+            this.chunkEnvironment.set(key, new Set());
+        }
+        this.chunkEnvironment.get(key).add(obj.id);
+
+        entry.x = obj.x ?? entry.x ?? 0;
+        entry.z = obj.z ?? entry.z ?? 0;
+        entry.rotation = typeof obj.rotation === 'number' ? obj.rotation : (entry.rotation ?? 0);
+        entry.state = {
+            isActive: obj.state?.isActive !== false,
+            cooldownRemaining: obj.state?.cooldownRemaining ?? 0,
+            healthFraction: typeof obj.state?.healthFraction === 'number' ? obj.state.healthFraction : 1
+        };
+
+        entry.mesh.position.set(entry.x, this.getGroundHeight(entry.x, entry.z), entry.z);
+        entry.mesh.rotation.y = entry.rotation;
+        applyEnvironmentState(entry.mesh, entry.state);
+    }
+
+    getEnvironmentObject(id) {
+        const entry = id ? this.environmentObjects.get(id) : null;
+        if (!entry) {
+            return null;
+        }
+        return { id, type: entry.type, x: entry.x, z: entry.z, isActive: entry.state?.isActive !== false };
+    }
+
+    findNearestEnvironmentObject(position, maxDistance = Infinity) {
+        let best = null;
+        let bestDistance = maxDistance;
+        for (const [id, entry] of this.environmentObjects) {
+            if (entry.state?.isActive === false) {
+                continue;
+            }
+            const distance = Math.hypot((entry.x ?? 0) - position.x, (entry.z ?? 0) - position.z);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = { id, type: entry.type, x: entry.x, z: entry.z, isActive: true, distance };
+            }
+        }
+        return best;
+    }
+
+    pickEnvironmentObject(clientX = null, clientY = null) {
+        if (this.environmentObjects.size === 0) {
+            return null;
+        }
+        this.setPickRay(clientX, clientY);
+        const meshes = Array.from(this.environmentObjects.values(), entry => entry.mesh);
+        const hits = this.raycaster.intersectObjects(meshes, true);
+        for (const hit of hits) {
+            let node = hit.object;
+            while (node && !node.userData?.environmentId) {
+                node = node.parent;
+            }
+            if (node?.visible !== false && node?.userData?.environmentId) {
+                return this.getEnvironmentObject(node.userData.environmentId);
             }
         }
+        return null;
+    }
+
+    setPickRay(clientX, clientY) {
+        if (this.pointerLocked || clientX === null || clientY === null) {
+            this.pointerNdc.set(0, 0);
+        } else {
+            const rect = this.renderer.domElement.getBoundingClientRect();
+            this.pointerNdc.set(
+                ((clientX - rect.left) / rect.width) * 2 - 1,
+                -((clientY - rect.top) / rect.height) * 2 + 1
+            );
+        }
+        this.raycaster.setFromCamera(this.pointerNdc, this.camera);
+    }
+
+    pickMob(clientX = null, clientY = null) {
+        const meshes = Array.from(this.mobs.values())
+            .filter(entry => entry.isAlive && entry.mesh?.visible)
+            .map(entry => entry.mesh);
+        if (meshes.length === 0) {
+            return null;
+        }
+        this.setPickRay(clientX, clientY);
+        const hits = this.raycaster.intersectObjects(meshes, true);
+        for (const hit of hits) {
+            let node = hit.object;
+            while (node && !node.userData?.mobId) {
+                node = node.parent;
+            }
+            if (node?.userData?.mobId) {
+                return node.userData.mobId;
+            }
+        }
+        return null;
+    }
+
+    setTargetLock(mobId) {
+        this.targetLockId = mobId || null;
+    }
+
+    setInteractionFocus(id, pending = false) {
+        this.interactionFocus = { id: id ?? null, pending: Boolean(id) && Boolean(pending) };
+    }
+
+    removeEnvironmentObject(id) {
+        const entry = this.environmentObjects.get(id);
+        if (!entry) {
+            return;
+        }
+        this.scene.remove(entry.mesh);
+        disposeEnvironmentMesh(entry.mesh);
+        this.chunkEnvironment.get(entry.chunkKey)?.delete(id);
+        this.environmentObjects.delete(id);
     }
 
     updateMob(mob) {
@@ -568,23 +1077,89 @@ export class World {
         }
 
         let entry = this.mobs.get(mob.id);
+        const isNew = !entry;
         if (!entry) {
-            const mesh = this.createMobMesh();
-            this.scene.add(mesh);
-            entry = { mesh };
+            entry = { mesh: null, nameplate: createNameplate(MOB_NAMEPLATE_HEIGHT), buffer: new SnapshotBuffer() };
             this.mobs.set(mob.id, entry);
         }
+        const appearance = resolveMobAppearance(mob);
+        if (entry.appearanceId !== appearance.id) {
+            this.applyMobAppearance(mob.id, entry, appearance);
+        }
 
+        const wasAlive = entry.isAlive;
+        const previousHealth = entry.healthFraction;
         entry.name = mob.name ?? 'Enemy';
         entry.isAlive = mob.isAlive !== false;
         entry.healthFraction = typeof mob.healthFraction === 'number' ? mob.healthFraction : 1;
         entry.targetPlayerId = mob.targetPlayerId ?? null;
         entry.x = mob.x ?? 0;
         entry.z = mob.z ?? 0;
+        entry.heading = mob.heading ?? entry.heading ?? 0;
+        // Eviction follows where the mob stands now, not where it was first seen.
+        const coords = this.getChunkCoords(entry.x, entry.z);
+        entry.chunkKey = coords ? chunkKey(coords.x, coords.z) : null;
+        updateNameplate(entry.nameplate, {
+            name: entry.name,
+            healthFraction: entry.healthFraction,
+            style: entry.targetPlayerId && entry.targetPlayerId === this.localPlayerId ? 'hostile' : 'neutral'
+        });
 
-        const y = this.getGroundHeight(entry.x, entry.z) + MOB_HEIGHT_OFFSET;
-        entry.mesh.position.set(entry.x, y, entry.z);
-        entry.mesh.visible = entry.isAlive;
+        // entry.x/z stay authoritative for targeting; the mesh trails behind through the buffer.
+        const pose = { x: entry.x, z: entry.z, heading: entry.heading };
+        entry.buffer.push(performance.now(), pose);
+        if (isNew || (entry.isAlive && !wasAlive)) {
+            this.applyMobPose(entry, pose);
+        }
+        if (!isNew && wasAlive && !entry.isAlive) {
+            // Let the mesh shrink away inside its death burst instead of vanishing.
+            entry.dissolveUntil = performance.now() + MOB_DISSOLVE_MS;
+            this.particles.burst('mobDeath', entry.mesh.position, { color: appearance.colors?.trimColor ?? 0xff7b4a });
+        } else if (entry.isAlive) {
+            entry.dissolveUntil = 0;
+        }
+        entry.mesh.visible = entry.isAlive || entry.dissolveUntil > performance.now();
+
+        if (!isNew && wasAlive && previousHealth > entry.healthFraction) {
+            this.playHitSpark(entry.mesh.position);
+        }
+    }
+
+    /**
+     * Swaps in the mesh for an appearance, carrying over pose and nameplate so a
+     * mob whose type changes restyles in place.
+     */
+    applyMobAppearance(mobId, entry, appearance) {
+        const mesh = this.createMobMesh(appearance);
+        mesh.userData.mobId = mobId;
+        const previous = entry.mesh;
+        if (previous) {
+            mesh.position.copy(previous.position);
+            mesh.rotation.y = previous.rotation.y;
+            mesh.visible = previous.visible;
+            previous.remove(entry.nameplate.sprite);
+            this.scene.remove(previous);
+            disposeObject3D(previous);
+        }
+        // Counter the mesh scale so nameplates read the same size on every mob.
+        entry.nameplate.sprite.scale.multiplyScalar((entry.scale ?? 1) / appearance.scale);
+        mesh.add(entry.nameplate.sprite);
+        this.scene.add(mesh);
+        entry.mesh = mesh;
+        entry.appearanceId = appearance.id;
+        entry.scale = appearance.scale;
+    }
+
+    removeMob(mobId) {
+        const entry = this.mobs.get(mobId);
+        // Sprites share one geometry, so detach the plate before the generic dispose below.
+        disposeNameplate(entry?.nameplate);
+        if (entry?.mesh) {
+            this.scene.remove(entry.mesh);
+            disposeObject3D(entry.mesh);
+        }
+        this.mobs.delete(mobId);
+        this.mobFlashTimers.delete(mobId);
     }
 
     applyMobUpdate(mobs) {
@@ -594,12 +1169,50 @@ export class World {
         mobs.forEach(mob => this.updateMob(mob));
     }
 
-    playMobAttack(mobId) {
+    playMobAttack(mobId, targetPlayerId = null) {
         if (!mobId) {
             return;
         }
         const until = performance.now() + MOB_FLASH_DURATION_MS;
         this.mobFlashTimers.set(mobId, until);
+        triggerHumanoidAttack(this.mobs.get(mobId)?.mesh);
+
+        const target = targetPlayerId === this.localPlayerId
+            ? this.localPlayerMesh
+            : this.remotePlayers.get(targetPlayerId)?.mesh;
+        if (target) {
+            this.playHitSpark(target.position, 0xff5d5d);
+        }
+    }
+
+    playHitSpark(position, color = null) {
+        const origin = { x: position.x, y: position.y + HIT_SPARK_HEIGHT, z: position.z };
+        this.particles.burst('hitSpark', origin, color === null ? {} : { color });
+    }
+
+    playLevelUp() {
+        this.particles.burst('levelUp', this.localPlayerMesh.position);
+    }
+
+    setEtherealAura(enabled) {
+        if (enabled && !this.etherealEmitter) {
+            this.etherealEmitter = this.particles.createEmitter('etherealAura', this.localPlayerMesh.position);
+        } else if (!enabled && this.etherealEmitter) {
+            this.etherealEmitter.stop();
+            this.etherealEmitter = null;
+        }
+    }
+
+    playPlayerAttack(playerId, targetId = null) {
+        const mesh = !playerId || playerId === this.localPlayerId
+            ? this.localPlayerMesh
+            : this.remotePlayers.get(playerId)?.mesh;
+        if (!mesh) {
+            return;
+        }
+        triggerHumanoidAttack(mesh);
+        // Keep the arm on the struck target for a moment so the swing reads as aimed.
+        mesh.userData.abilityAim = targetId ? { targetId, until: performance.now() + ABILITY_AIM_DURATION_MS } : null;
     }
 
     setHighlightedMob(mobId) {
@@ -615,8 +1228,8 @@ export class World {
             return;
         }
         this.highlightMesh.visible = true;
-        const y = this.getGroundHeight(mob.x, mob.z) + 0.12;
-        this.highlightMesh.position.set(mob.x, y, mob.z);
+        const { x, z } = mob.mesh.position;
+        this.highlightMesh.position.set(x, this.getGroundHeight(x, z) + 0.12, z);
     }
 
     setDebugMode(enabled) {
@@ -696,6 +1309,23 @@ export class World {
         this.sunLight.intensity = clamp(0.4 + Math.sin(angle) * 0.6, 0.2, 1.0);
     }
 
+    getMob(mobId, position = null) {
+        const mob = mobId ? this.mobs.get(mobId) : null;
+        if (!mob) {
+            return null;
+        }
+        const distance = position ? Math.hypot((mob.x ?? 0) - position.x, (mob.z ?? 0) - position.z) : null;
+        return {
+            id: mobId,
+            name: mob.name,
+            x: mob.x,
+            z: mob.z,
+            isAlive: mob.isAlive,
+            healthFraction: mob.healthFraction,
+            distance
+        };
+    }
+
     findNearestMob(position, maxDistance = Infinity) {
         let best = null;
         let bestDistance = maxDistance;
@@ -720,9 +1350,27 @@ export class World {
         }
 
         const now = performance.now();
+        const delta = this.lastRenderTime === null ? 0 : Math.min((now - this.lastRenderTime) / 1000, 0.1);
+        this.lastRenderTime = now;
+
+        this.updateInterpolatedEntities(now);
+        this.updateAvatars(now, delta);
+        this.updateChatBubbles(now);
 
         for (const entry of this.mobs.values()) {
-            entry?.mesh?.scale.set(1, 1, 1);
+            if (!entry?.mesh) {
+                continue;
+            }
+            if (entry.dissolveUntil > 0) {
+                const remaining = (entry.dissolveUntil - now) / MOB_DISSOLVE_MS;
+                if (remaining <= 0) {
+                    entry.dissolveUntil = 0;
+                    entry.mesh.visible = false;
+                }
+                entry.mesh.scale.setScalar((entry.scale ?? 1) * Math.max(0.01, remaining));
+                continue;
+            }
+            entry.mesh.scale.setScalar(entry.scale ?? 1);
         }
 
         for (const [mobId, until] of this.mobFlashTimers) {
@@ -732,30 +1380,186 @@ export class World {
             }
             const entry = this.mobs.get(mobId);
             if (entry?.mesh) {
-                const pulse = 1 + Math.sin((until - now) * 0.02) * 0.15;
-                entry.mesh.scale.set(pulse, pulse, pulse);
+                const pulse = (1 + Math.sin((until - now) * 0.02) * 0.15) * (entry.scale ?? 1);
+                entry.mesh.scale.setScalar(pulse);
             }
         }
 
-        if (this.highlightedMobId && this.mobs.has(this.highlightedMobId)) {
+        const lockedMob = this.targetLockId ? this.mobs.get(this.targetLockId) : null;
+        if (lockedMob?.isAlive) {
+            const { x, z } = lockedMob.mesh.position;
+            const pulse = 1.25 + Math.sin(now * 0.006) * 0.08;
+            this.targetLockMesh.visible = true;
+            this.targetLockMesh.position.set(x, this.getGroundHeight(x, z) + 0.13, z);
+            this.targetLockMesh.scale.set(pulse, pulse, pulse);
+        } else {
+            this.targetLockMesh.visible = false;
+        }
+
+        if (this.highlightedMobId && this.highlightedMobId !== this.targetLockId && this.mobs.has(this.highlightedMobId)) {
             const mob = this.mobs.get(this.highlightedMobId);
             if (!mob?.isAlive) {
                 this.highlightMesh.visible = false;
             } else {
                 this.highlightMesh.visible = true;
-                const y = this.getGroundHeight(mob.x, mob.z) + 0.12;
-                this.highlightMesh.position.set(mob.x, y, mob.z);
+                const { x, z } = mob.mesh.position;
+                this.highlightMesh.position.set(x, this.getGroundHeight(x, z) + 0.12, z);
             }
         } else {
             this.highlightMesh.visible = false;
         }
 
+        const focusEntry = this.interactionFocus.id ? this.environmentObjects.get(this.interactionFocus.id) : null;
+        if (focusEntry) {
+            this.interactionMesh.visible = true;
+            this.interactionMesh.position.set(focusEntry.x, this.getGroundHeight(focusEntry.x, focusEntry.z) + 0.14, focusEntry.z);
+            const pulse = this.interactionFocus.pending ? 1.4 + Math.sin(now * 0.012) * 0.25 : 1.6;
+            this.interactionMesh.scale.set(pulse, pulse, pulse);
+            this.interactionMesh.material.opacity = this.interactionFocus.pending ? 0.55 : 0.85;
+        } else {
+            this.interactionMesh.visible = false;
+        }
+
+        this.updateNameplates();
+        this.combatText.update(now);
+        this.particles.update(delta);
         this.updateDebugHelpers();
-        this.updateAttacksVisuals();
+        this.attackEffects.update(now);
         this.updateCamera();
         this.renderer.render(this.scene, this.camera);
     }
 
+    updateAvatars(now, delta) {
+        const localGround = this.getGroundHeight(this.localPlayer.x, this.localPlayer.z) + PLAYER_HEIGHT_OFFSET;
+        const localAimId = this.targetLockId ?? this.getAbilityAimId(this.localPlayerMesh, now);
+        this.animateAvatar(this.localPlayerMesh, delta, {
+            onGround: this.localPlayer.y <= localGround + 0.05,
+            aimTarget: this.getTargetAimPoint(localAimId, this.localPlayerMesh)
+        });
+
+        for (const entry of this.remotePlayers.values()) {
+            const aimId = this.getAbilityAimId(entry.mesh, now);
+            this.animateAvatar(entry.mesh, delta, {
+                onGround: !(entry.heightOffset > 0.05),
+                aimTarget: this.getTargetAimPoint(aimId, entry.mesh)
+            });
+        }
+
+        for (const entry of this.mobs.values()) {
+            if (!entry.isAlive) {
+                continue;
+            }
+            this.animateAvatar(entry.mesh, delta, {
+                aimTarget: this.getPlayerAimPoint(entry.targetPlayerId, entry.mesh)
+            });
+        }
+    }
+
+    /**
+     * Drives the walk cycle from how far the mesh moved since the last frame, so
+     * interpolated and predicted motion animate the same way.
+     */
+    animateAvatar(mesh, delta, { onGround = true, aimTarget = null } = {}) {
+        if (!mesh?.userData?.humanoid || delta <= 0) {
+            return;
+        }
+        const motion = this.getAvatarMotion(mesh);
+        const distance = Math.hypot(mesh.position.x - motion.x, mesh.position.z - motion.z);
+        motion.x = mesh.position.x;
+        motion.z = mesh.position.z;
+        // Snapshots arrive in steps; smoothing keeps the stride from stuttering between them.
+        motion.speed += (distance / delta - motion.speed) * Math.min(1, delta * 10);
+
+        updateHumanoidAnimation(mesh, delta, {
+            speed: motion.speed,
+            onGround,
+            aimTarget,
+            aimStrength: aimTarget ? undefined : 0
+        });
+    }
+
+    getAvatarMotion(mesh) {
+        if (!mesh.userData.motion) {
+            mesh.userData.motion = {
+                x: mesh.position.x,
+                z: mesh.position.z,
+                speed: 0,
+                aimPoint: new THREE.Vector3()
+            };
+        }
+        return mesh.userData.motion;
+    }
+
+    getAbilityAimId(mesh, now) {
+        const aim = mesh?.userData?.abilityAim;
+        return aim && aim.until > now ? aim.targetId : null;
+    }
+
+    getTargetAimPoint(targetId, mesh) {
+        if (!targetId) {
+            return null;
+        }
+        const out = this.getAvatarMotion(mesh).aimPoint;
+        const mob = this.mobs.get(targetId);
+        if (mob?.isAlive) {
+            const { x, y, z } = mob.mesh.position;
+            return out.set(x, y + AVATAR_AIM_HEIGHT, z);
+        }
+        const environmentObject = this.environmentObjects.get(targetId);
+        if (environmentObject) {
+            const { x, z } = environmentObject;
+            return out.set(x, this.getGroundHeight(x, z) + AVATAR_AIM_HEIGHT, z);
+        }
+        return null;
+    }
+
+    getPlayerAimPoint(playerId, mesh) {
+        if (!playerId) {
+            return null;
+        }
+        const target = playerId === this.localPlayerId
+            ? this.localPlayerMesh
+            : this.remotePlayers.get(playerId)?.mesh;
+        if (!target) {
+            return null;
+        }
+        const { x, y, z } = target.position;
+        return this.getAvatarMotion(mesh).aimPoint.set(x, y + AVATAR_AIM_HEIGHT, z);
+    }
+
+    /**
+     * Floats combat text over a mob or player; anchors are 'local', a player id or a mob id.
+     */
+    showCombatText(kind, text, { mobId = null, playerId = null } = {}) {
+        let position = null;
+        let anchorKey = null;
+        if (mobId) {
+            position = this.mobs.get(mobId)?.mesh.position ?? null;
+            anchorKey = `mob:${mobId}`;
+        } else if (!playerId || playerId === this.localPlayerId) {
+            position = this.localPlayerMesh.position;
+            anchorKey = 'player:local';
+        } else {
+            position = this.remotePlayers.get(playerId)?.mesh.position ?? null;
+            anchorKey = `player:${playerId}`;
+        }
+        this.combatText.spawn(kind, text, position, anchorKey);
+    }
+
+    updateNameplates() {
+        const cameraPosition = this.camera.position;
+        for (const entry of this.remotePlayers.values()) {
+            if (entry.nameplate) {
+                fadeNameplate(entry.nameplate, cameraPosition.distanceTo(entry.mesh.position));
+            }
+        }
+        for (const entry of this.mobs.values()) {
+            if (entry.nameplate) {
+                fadeNameplate(entry.nameplate, cameraPosition.distanceTo(entry.mesh.position));
+            }
+        }
+    }
+
     updateCamera() {
         const cosPitch = Math.cos(this.cameraPitch);
         const sinPitch = Math.sin(this.cameraPitch);
@@ -776,109 +1580,46 @@ export class World {
     }
 
     spawnAttack(data) {
-        if (!data) {
-            return;
-        }
-        const id = data.attackId ?? data.id;
-        if (!id) {
-            return;
-        }
-
-        const now = performance.now();
-        let entry = this.attacks.get(id);
-        if (!entry) {
-            const mesh = this.createAttackMesh(data.radius ?? 1);
-            this.scene.add(mesh);
-            entry = { mesh, behavior: (data.behavior ?? 'melee').toLowerCase(), expireAt: null, completed: false };
-            this.attacks.set(id, entry);
-        }
-        entry.behavior = (data.behavior ?? 'melee').toLowerCase();
-        entry.completed = false;
-        entry.expireAt = null;
-        entry.mesh.visible = true;
-        entry.mesh.scale.set(1, 1, 1);
-        const y = this.getGroundHeight(data.originX ?? data.x ?? 0, data.originZ ?? data.z ?? 0) + ATTACK_HEIGHT;
-        entry.mesh.position.set(data.x ?? data.originX ?? 0, y, data.z ?? data.originZ ?? 0);
-        entry.lastUpdated = now;
+        this.attackEffects.spawn(data);
     }
 
     updateAttacks(snapshots = [], completedIds = []) {
-        const now = performance.now();
-        if (Array.isArray(snapshots)) {
-            snapshots.forEach(snapshot => {
-                const id = snapshot.attackId ?? snapshot.id;
-                if (!id) {
-                    return;
-                }
-                let entry = this.attacks.get(id);
-                if (!entry) {
-                    const mesh = this.createAttackMesh(snapshot.radius ?? 1);
-                    this.scene.add(mesh);
-                    entry = { mesh, behavior: (snapshot.behavior ?? 'melee').toLowerCase(), expireAt: null, completed: false };
-                    this.attacks.set(id, entry);
-                }
-                entry.behavior = (snapshot.behavior ?? 'melee').toLowerCase();
-                const radius = Math.max(snapshot.radius ?? 1, 0.3);
-                entry.mesh.geometry.dispose();
-                entry.mesh.geometry = new THREE.RingGeometry(radius * 0.6, radius, 32);
-                const y = this.getGroundHeight(snapshot.x ?? 0, snapshot.z ?? 0) + ATTACK_HEIGHT;
-                entry.mesh.position.set(snapshot.x ?? 0, y, snapshot.z ?? 0);
-                entry.mesh.visible = true;
-                entry.completed = Boolean(snapshot.completed);
-                entry.expireAt = null;
-                entry.lastUpdated = now;
-            });
-        }
-
-        if (Array.isArray(completedIds)) {
-            completedIds.forEach(id => {
-                const entry = this.attacks.get(id);
-                if (entry) {
-                    entry.completed = true;
-                    entry.expireAt = now + 200;
-                }
-            });
-        }
+        this.attackEffects.applySnapshots(snapshots, completedIds);
+    }
 
-        for (const [id, entry] of this.attacks) {
-            if (entry.completed && entry.expireAt && entry.expireAt <= now) {
-                this.scene.remove(entry.mesh);
-                entry.mesh.geometry.dispose();
-                if (entry.mesh.material) {
-                    entry.mesh.material.dispose?.();
-                }
-                this.attacks.delete(id);
-                continue;
-            }
-            const lastUpdated = entry.lastUpdated ?? now;
-            if (!entry.completed && now - lastUpdated > 800) {
-                this.scene.remove(entry.mesh);
-                entry.mesh.geometry.dispose();
-                if (entry.mesh.material) {
-                    entry.mesh.material.dispose?.();
-                }
-                this.attacks.delete(id);
+    getGroundHeight(x, z) {
+        if (this.chunkSize && this.terrainChunks.size > 0) {
+            const chunk = this.terrainChunks.get(chunkKey(Math.floor(x / this.chunkSize), Math.floor(z / this.chunkSize)));
+            if (chunk) {
+                return this.sampleChunkHeight(chunk, x, z);
             }
         }
+        return this.sampleWalkGridHeight(x, z);
     }
 
-    updateAttacksVisuals() {
-        const now = performance.now();
-        for (const entry of this.attacks.values()) {
-            if (!entry.mesh.visible) {
-                continue;
-            }
-            if (entry.completed && entry.expireAt) {
-                const remaining = entry.expireAt - now;
-                const alpha = clamp(remaining / 200, 0, 1);
-                entry.mesh.material.opacity = alpha * 0.65;
-            } else {
-                entry.mesh.material.opacity = 0.65;
-            }
+    sampleChunkHeight(chunk, x, z) {
+        const { resolution, spacing, originX, originZ, heights } = chunk;
+        const perAxis = resolution + 1;
+        const epsilon = 1e-6;
+        const gridX = clamp((x - originX) / spacing, 0, resolution - epsilon);
+        const gridZ = clamp((z - originZ) / spacing, 0, resolution - epsilon);
+        const ix = Math.floor(gridX);
+        const iz = Math.floor(gridZ);
+        const fx = gridX - ix;
+        const fz = gridZ - iz;
+
+        const h00 = heights[iz * perAxis + ix];
+        const h10 = heights[iz * perAxis + ix + 1];
+        const h01 = heights[(iz + 1) * perAxis + ix];
+        const h11 = heights[(iz + 1) * perAxis + ix + 1];
+
+        if (fx + fz <= 1) {
+            return h00 * (1 - fx - fz) + h10 * fx + h01 * fz;
         }
+        return h10 * (1 - fz) + h11 * (fx + fz - 1) + h01 * (1 - fx);
     }
 
-    getGroundHeight(x, z) {
+    sampleWalkGridHeight(x, z) {
         const tileSize = this.tileSize ?? DEFAULT_TILE_SIZE;
         const walkSize = this.walkSize ?? DEFAULT_WALK_SIZE;
         const originOffset = this.vertexOriginOffset ?? (walkSize / 2);